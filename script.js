@@ -1,22 +1,59 @@
 /**
  * AI-Develops Organization Index
- * GitHub API Integration with LocalStorage Caching
+ * GitHub API Integration with IndexedDB Caching
  */
 
 const CONFIG = {
-    org: 'AI-Develops',
+    org: 'AI-Develops', // indexed unless site.config.json or the URL names other owners
     apiBase: 'https://api.github.com',
-    cacheKeyPrefix: 'ai-develops-cache:',
+    cacheDb: 'ai-develops-cache',
+    cacheKeyPrefix: 'ai-develops-cache:', // legacy localStorage entries, migrated on load
+    cacheBudget: 25 * 1024 * 1024, // 25 MB
+    tokenStorageKey: 'ai-develops-token',
+    showBotsStorageKey: 'ai-develops-show-bots',
+    localeStorageKey: 'ai-develops-locale',
+    siteConfigUrl: 'site.config.json',
+    curationUrl: 'curation.json',
+    localesUrl: 'locales/', // <language>.json message catalogs
+    serviceWorkerUrl: 'sw.js',
+    snapshotUrl: 'data/snapshot.json',
+    snapshotVersion: 3,
+    snapshotMaxAge: 12 * 60 * 60 * 1000, // older snapshots are topped up from the live API
     cacheDuration: 10 * 60 * 1000, // 10 minutes
+    perPage: 100,
+    maxPages: 20, // safety cap when following Link headers
+    concurrency: 6, // parallel API requests
+    statsPolling: {
+        maxAttempts: 6,
+        baseDelay: 2000, // doubles on every attempt
+        maxDelay: 32000,
+    },
+    pagesDeployments: 3, // how far back to look for the last successful Pages deploy
+    feed: {
+        pollInterval: 60 * 1000, // floor; GitHub's X-Poll-Interval can ask for longer
+        maxItems: 50,
+    },
 };
 
 const state = {
     repos: [],
     contributors: [],
+    repoStats: new Map(), // repo full name (owner/name) -> raw stats/contributors response
     contributorActivity: new Map(),
     allActivity: new Map(),
     stats: { repos: 0, contributors: 0, commits: 0 },
-    selectedContributor: 'all',
+    // repo -> login -> week date string -> commits, for filtered views
+    activityIndex: new Map(),
+    // repo -> { start, days: date string -> commits } from stats/commit_activity (last 52 weeks)
+    dailyActivity: new Map(),
+    // repo -> week date strings with commits by hidden bots (see Identity)
+    botActivity: new Map(),
+    // Activity filters - an empty set means "all"
+    selectedContributors: new Set(),
+    selectedRepos: new Set(),
+    computingRepos: new Set(),
+    // Repos whose stats never arrived - left out of every total until a retry brings them in
+    unavailableRepos: new Set(),
     isLoading: false,
     lastFetch: null,
 };
@@ -24,17 +61,121 @@ const state = {
 const elements = {
     nav: document.getElementById('nav'),
     themeToggle: document.getElementById('themeToggle'),
+    localeSelect: document.getElementById('localeSelect'),
+    settingsToggle: document.getElementById('settingsToggle'),
+    settingsDialog: document.getElementById('settingsDialog'),
+    settingsForm: document.getElementById('settingsForm'),
+    tokenInput: document.getElementById('tokenInput'),
+    tokenStatus: document.getElementById('tokenStatus'),
+    tokenClear: document.getElementById('tokenClear'),
+    settingsClose: document.getElementById('settingsClose'),
     mobileToggle: document.getElementById('mobileToggle'),
     heroStats: document.getElementById('heroStats'),
+    projectsHeader: document.querySelector('.projects__header-content'),
+    projectsSearch: document.getElementById('projectsSearch'),
+    projectsSort: document.getElementById('projectsSort'),
+    projectsCount: document.getElementById('projectsCount'),
+    projectsFacets: document.getElementById('projectsFacets'),
     projectsGrid: document.getElementById('projectsGrid'),
+    activityHeader: document.querySelector('.activity__header'),
     activityGraph: document.getElementById('activityGraph'),
     activityMonths: document.getElementById('activityMonths'),
-    contributorSelect: document.getElementById('contributorSelect'),
+    activityDays: document.getElementById('activityDays'),
+    contributorFilter: document.getElementById('contributorFilter'),
+    repoFilter: document.getElementById('repoFilter'),
+    showBots: document.getElementById('showBots'),
+    activityRange: document.getElementById('activityRange'),
+    activityPrev: document.getElementById('activityPrev'),
+    activityNext: document.getElementById('activityNext'),
+    activityCustomRange: document.getElementById('activityCustomRange'),
+    activityStart: document.getElementById('activityStart'),
+    activityEnd: document.getElementById('activityEnd'),
     totalContributions: document.getElementById('totalContributions'),
     activeDays: document.getElementById('activeDays'),
+    activeDaysLabel: document.getElementById('activeDaysLabel'),
+    activityResolution: document.getElementById('activityResolution'),
+    activityStatus: document.getElementById('activityStatus'),
+    activityProgress: document.getElementById('activityProgress'),
+    activityWeek: document.getElementById('activityWeek'),
+    contributorProfile: document.getElementById('contributorProfile'),
+    contributorsHeader: document.querySelector('.contributors__header'),
     contributorsGrid: document.getElementById('contributorsGrid'),
+    feedHeader: document.querySelector('.feed__header'),
+    feedFilters: document.getElementById('feedFilters'),
+    feedList: document.getElementById('feedList'),
+    embedToggle: document.getElementById('embedToggle'),
+    embedDialog: document.getElementById('embedDialog'),
+    embedForm: document.getElementById('embedForm'),
+    embedFilters: document.getElementById('embedFilters'),
+    embedSnippet: document.getElementById('embedSnippet'),
+    embedStatus: document.getElementById('embedStatus'),
+    embedClose: document.getElementById('embedClose'),
+    repoDetail: document.getElementById('repoDetail'),
+    repoDetailTitle: document.getElementById('repoDetailTitle'),
+    repoDetailClose: document.getElementById('repoDetailClose'),
+    repoDetailBody: document.getElementById('repoDetailBody'),
+};
+
+// ============================================
+// Safe HTML Rendering
+// ============================================
+/**
+ * Everything rendered through innerHTML goes through the `html` tag below.
+ * Interpolated values are escaped unless they are themselves html`` results
+ * (or Html.raw()), arrays are rendered item by item, and null/false render
+ * nothing. URLs from the API must pass Html.url() before they reach an
+ * href or src.
+ */
+const Html = {
+    SAFE: Symbol('safe-html'),
+
+    ENTITIES: {
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#39;',
+        '`': '&#96;',
+    },
+
+    escape(value) {
+        return String(value).replace(/[&<>"'`]/g, char => this.ENTITIES[char]);
+    },
+
+    // Marks already-sanitized markup as safe - never pass API strings here
+    raw(markup) {
+        return { [this.SAFE]: true, markup: String(markup), toString() { return this.markup; } };
+    },
+
+    render(strings, values) {
+        let markup = strings[0];
+        values.forEach((value, i) => {
+            markup += this.serialize(value) + strings[i + 1];
+        });
+        return this.raw(markup);
+    },
+
+    serialize(value) {
+        if (value === null || value === undefined || value === false) return '';
+        if (Array.isArray(value)) return value.map(item => this.serialize(item)).join('');
+        if (value[this.SAFE]) return value.markup;
+        return this.escape(value);
+    },
+
+    // Absolute http(s) URL, or null for anything else (javascript:, data:, garbage)
+    url(value, base = window.location.href) {
+        if (typeof value !== 'string' || !value.trim()) return null;
+        try {
+            const url = new URL(value.trim(), base);
+            return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : null;
+        } catch {
+            return null;
+        }
+    },
 };
 
+const html = (strings, ...values) => Html.render(strings, values);
+
 // ============================================
 // Theme Manager
 // ============================================
@@ -47,9 +188,9 @@ const ThemeManager = {
         elements.themeToggle.addEventListener('click', () => this.toggle());
     },
 
-    set(theme) {
+    set(theme, { persist = true } = {}) {
         document.documentElement.setAttribute('data-theme', theme);
-        localStorage.setItem('theme', theme);
+        if (persist) localStorage.setItem('theme', theme);
     },
 
     toggle() {
@@ -87,640 +228,4592 @@ const Navigation = {
 };
 
 // ============================================
-// LocalStorage Cache Manager
+// Data Events (publish / subscribe)
+// ============================================
+const DataEvents = {
+    handlers: new Map(),
+
+    /**
+     * Subscribes to an event type and returns the unsubscribe function.
+     * GitHubAPI publishes 'repos' and 'stats' when a background refresh
+     * brings in new data; sections publish derived events such as 'activity'.
+     */
+    on(type, handler) {
+        if (!this.handlers.has(type)) {
+            this.handlers.set(type, new Set());
+        }
+        this.handlers.get(type).add(handler);
+        return () => this.handlers.get(type).delete(handler);
+    },
+
+    emit(type, detail) {
+        this.handlers.get(type)?.forEach(handler => {
+            try {
+                handler(detail);
+            } catch (e) {
+                console.error(`[Events] ${type} handler failed:`, e);
+            }
+        });
+    },
+};
+
+// ============================================
+// Internationalization (messages & formatting)
+// ============================================
+/**
+ * UI strings come from a message catalog: English below, every other
+ * language from locales/<language>.json, with English filling any gaps.
+ * Messages take {name} placeholders; one that depends on {count} is an
+ * object of Intl.PluralRules forms ({ one, other }, plus an optional
+ * `zero`). Static markup is translated through `data-i18n` (text content)
+ * and `data-i18n-attr` ("attribute:key;attribute:key").
+ *
+ * The language is the first supported one of `?hl=` (`?lang=` is the
+ * project language facet), the switcher's saved choice and
+ * navigator.languages. Dates, numbers and the first day
+ * of the week follow the full locale (e.g. en-GB) when there is one.
+ */
+const I18n = {
+    LOCALES: {
+        en: 'English',
+        de: 'Deutsch',
+        es: 'Español',
+    },
+
+    // Regions whose week starts on Sunday, for browsers without Intl.Locale week info
+    SUNDAY_FIRST: ['US', 'CA', 'MX', 'BR', 'JP', 'KR', 'TW', 'HK', 'IL', 'IN', 'PH', 'ZA'],
+
+    MESSAGES: {
+        'nav.projects': 'Projects',
+        'nav.activity': 'Activity',
+        'nav.contributors': 'Contributors',
+        'nav.latest': 'Latest',
+        'nav.settings': 'API settings',
+        'nav.theme': 'Toggle theme',
+        'nav.menu': 'Toggle menu',
+        'nav.language': 'Language',
+
+        'hero.badge': 'Open Source Collective',
+        'hero.titleStart': 'Building the future',
+        'hero.titleAccent': 'one commit at a time',
+        'hero.description': 'Explore our constellation of web projects, crafted with modern technologies and hosted seamlessly via GitHub Pages.',
+        'hero.projects': 'Projects',
+        'hero.contributors': 'Contributors',
+        'hero.commits': 'Commits',
+        'hero.explore': 'Explore Projects',
+        'hero.github': 'View on GitHub',
+        'hero.scroll': 'Scroll to explore',
+
+        'projects.label': 'Our Work',
+        'projects.title': 'Project Constellation',
+        'projects.subtitle': 'Each project is a star in our development universe. Click to explore the live demos.',
+        'projects.filter.all': 'All',
+        'projects.filter.featured': 'Featured',
+        'projects.filter.recent': 'Recent',
+        'projects.search': 'Search by name, description or topic',
+        'projects.searchLabel': 'Search projects',
+        'projects.sort': 'Sort:',
+        'projects.sort.pushed': 'Last push',
+        'projects.sort.stars': 'Stars',
+        'projects.sort.forks': 'Forks',
+        'projects.sort.name': 'Name',
+        'projects.loading': 'Loading repositories...',
+        'projects.count': { one: '{shown} of {count} project', other: '{shown} of {count} projects' },
+        'projects.empty': 'No repositories found',
+        'projects.language': 'Language',
+        'projects.topics': 'Topics',
+        'projects.filterByLanguage': 'Filter by language',
+        'projects.filterByTopic': 'Filter by topic',
+        'projects.pinned': 'Pinned',
+        'projects.other': 'Other',
+        'projects.various': 'Various',
+        'projects.byOwner': 'A project by {owner}',
+        'projects.updated': 'Updated {time}',
+        'projects.liveDemo': 'Live Demo',
+        'projects.code': 'Code',
+        'projects.details': 'Details',
+        'projects.demoMissing': 'Demo missing',
+        'projects.demoMissingTitle': 'GitHub Pages is not enabled for this repo',
+        'projects.demoFailing': 'Demo failing',
+        'projects.demoFailingTitle': 'The latest GitHub Pages deployment failed - the demo may be out of date or down',
+        'projects.deploy.ok': 'Deployed',
+        'projects.deploy.okSince': 'Deployed {time}',
+        'projects.deploy.building': 'Deploying',
+        'projects.deploy.buildingSince': 'Deploying - last deployed {time}',
+        'projects.deploy.failing': 'Deploy failed',
+        'projects.deploy.failingSince': 'Last deploy failed - last good deploy {time}',
+
+        'activity.label': 'Live Feed',
+        'activity.title': 'Contribution Activity',
+        'activity.subtitle': 'Real-time visualization of commits across all repositories',
+        'activity.contributorsLabel': 'Contributors:',
+        'activity.reposLabel': 'Repos:',
+        'activity.filterContributors': 'Filter by contributors',
+        'activity.filterRepos': 'Filter by repos',
+        'activity.clear': 'Clear selection',
+        'activity.contributors.all': 'All contributors',
+        'activity.contributors.count': { one: '{count} contributor', other: '{count} contributors' },
+        'activity.contributors.none': 'No contributors yet',
+        'activity.repos.all': 'All repos',
+        'activity.repos.count': { one: '{count} repo', other: '{count} repos' },
+        'activity.repos.none': 'No repos yet',
+        'activity.showBots': 'Show bots',
+        'activity.timeRange': 'Time range',
+        'activity.previousYear': 'Previous year',
+        'activity.nextYear': 'Next year',
+        'activity.range': 'Range:',
+        'activity.last12': 'Last 12 months',
+        'activity.custom': 'Custom range',
+        'activity.startDate': 'Start date',
+        'activity.endDate': 'End date',
+        'activity.contributions': 'contributions',
+        'activity.activeDays': 'active days',
+        'activity.activeWeeks': 'active weeks',
+        'activity.weekly': 'Weekly totals',
+        'activity.weeklyTitle': 'GitHub only has per-day counts for the last 52 weeks across all contributors',
+        'activity.embed': 'Embed',
+        'activity.export': 'Export',
+        'activity.exportLabel': 'Export activity',
+        'activity.export.csv': 'Activity as CSV',
+        'activity.export.json': 'Activity as JSON',
+        'activity.export.svg': 'Heatmap as SVG',
+        'activity.export.png': 'Heatmap as PNG',
+        'activity.loading': 'Loading activity...',
+        'activity.loadingContributors': 'Loading contributor activity...',
+        'activity.less': 'Less',
+        'activity.more': 'More',
+        'activity.progress': { one: '{loaded}/{count} repo loaded', other: '{loaded}/{count} repos loaded' },
+        'activity.computing': 'GitHub is still computing stats for {repo}',
+        'activity.computingMany': { one: 'GitHub is still computing stats for {count} repo: {repos}', other: 'GitHub is still computing stats for {count} repos: {repos}' },
+        'activity.unavailable': { one: 'GitHub has no stats for {repos} yet, so its commits are missing from the totals.', other: 'GitHub has no stats for {count} repos yet ({repos}), so their commits are missing from the totals.' },
+        'activity.retry': 'Try again',
+        'activity.empty': 'No activity data available',
+        'activity.emptyRateLimited': 'API rate limited - cached data may be empty or stale',
+        'activity.emptyHint': 'Activity will appear here once commits are made',
+        'activity.gridLabel': 'Contribution activity',
+        'activity.weekDetails': 'Week details',
+        'activity.profile': 'Contributor profile',
+        'activity.weekOf': 'Week of {date}',
+        'activity.commits': { one: '{count} commit', other: '{count} commits' },
+        'activity.closeWeek': 'Close week details',
+        'activity.weekEmpty': 'No commits this week.',
+        'activity.weekEmptyFiltered': 'No commits this week for the selected filters.',
+        'activity.repositories': 'Repositories',
+        'activity.contributorsHeading': 'Contributors',
+
+        'heatmap.day': {
+            zero: 'No contributions on {date}',
+            one: '{count} contribution on {date}',
+            other: '{count} contributions on {date}',
+        },
+        'heatmap.week': {
+            zero: 'No contributions in the week of {date}',
+            one: '{count} contribution in the week of {date}',
+            other: '{count} contributions in the week of {date}',
+        },
+
+        'profile.loading': 'Loading activity for {login}...',
+        'profile.empty': "No commits by {login} in the indexed repositories' stats.",
+        'profile.onGitHub': '@{login} on GitHub',
+        'profile.commits': 'Commits',
+        'profile.added': 'Added',
+        'profile.deleted': 'Deleted',
+        'profile.firstWeek': 'First active week',
+        'profile.lastWeek': 'Last active week',
+        'profile.repository': 'Repository',
+        'profile.activeWeeks': 'Active weeks',
+
+        'contributors.label': 'The Team',
+        'contributors.title': 'Contributors',
+        'contributors.subtitle': 'The brilliant minds behind our projects',
+        'contributors.export': 'Export',
+        'contributors.exportLabel': 'Export contributors',
+        'contributors.export.csv': 'Contributors as CSV',
+        'contributors.export.json': 'Contributors as JSON',
+        'contributors.loading': 'Loading contributors...',
+        'contributors.empty': 'No contributors found',
+        'contributors.contributions': { one: '{count} contribution', other: '{count} contributions' },
+
+        'feed.label': 'Right Now',
+        'feed.title': 'Latest Activity',
+        'feed.subtitle': 'Pushes, releases, new repos, merged pull requests and issues as they happen',
+        'feed.filter': 'Filter by event type',
+        'feed.loading': 'Loading latest activity...',
+        'feed.type.push': 'Pushes',
+        'feed.type.release': 'Releases',
+        'feed.type.repo': 'New repos',
+        'feed.type.pr': 'Merged PRs',
+        'feed.type.issue': 'Issues',
+        'feed.pushed': {
+            one: '{actor} pushed {count} commit to {branch} in {repo}',
+            other: '{actor} pushed {count} commits to {branch} in {repo}',
+        },
+        'feed.pushedCommits': '{actor} pushed commits to {branch} in {repo}',
+        'feed.aBranch': 'a branch',
+        'feed.released': '{actor} published {release} in {repo}',
+        'feed.aRelease': 'a release',
+        'feed.createdRepo': '{actor} created the repository {repo}',
+        'feed.merged': '{actor} merged {pr} in {repo}',
+        'feed.issueOpened': '{actor} opened issue {issue} in {repo}',
+        'feed.issueClosed': '{actor} closed issue {issue} in {repo}',
+        'feed.today': 'Today',
+        'feed.yesterday': 'Yesterday',
+        'feed.emptyFiltered': 'No events of the selected types',
+        'feed.rateLimited': 'API rate limited - recent events could not be loaded',
+        'feed.empty': 'No recent public activity',
+
+        'repo.close': 'Close project details',
+        'repo.loading': 'Loading project...',
+        'repo.rateLimited': 'API rate limited - this project could not be loaded.',
+        'repo.notFound': 'This project could not be found.',
+        'repo.stars': { one: '{count} star', other: '{count} stars' },
+        'repo.forks': { one: '{count} fork', other: '{count} forks' },
+        'repo.openIssuesAndPulls': { one: '{count} open issue or PR', other: '{count} open issues & PRs' },
+        'repo.openIssues': { one: '{count} open issue', other: '{count} open issues' },
+        'repo.openPulls': { one: '{count} open PR', other: '{count} open PRs' },
+        'repo.noLicense': 'No license',
+        'repo.viewOnGitHub': 'View on GitHub',
+        'repo.languages': 'Languages',
+        'repo.activity': 'Commit Activity',
+        'repo.releases': 'Releases & Tags',
+        'repo.readme': 'README',
+        'repo.loadingSection': 'Loading...',
+        'repo.noLanguages': 'No language data',
+        'repo.computing': 'GitHub is still computing stats for this repo...',
+        'repo.noCommits': 'No commits in the last year',
+        'repo.gridLabel': '{repo} commit activity',
+        'repo.commitsLastYear': { one: '{count} commit in the last year', other: '{count} commits in the last year' },
+        'repo.noReleases': 'No releases or tags yet',
+        'repo.prerelease': 'Pre-release',
+        'repo.draft': 'Draft',
+        'repo.tag': 'Tag',
+        'repo.noReadme': 'No README',
+
+        'widget.heatmap': '{owners} contribution activity',
+        'widget.stats': '{owners} stats',
+
+        'status.rateLimited': 'API rate limited - showing cached data',
+        'status.failed': 'Failed to load data - please try again later',
+        'status.tokenRejected': 'GitHub token rejected - continuing without authentication',
+        'update.justNow': 'Updated just now',
+        'rateLimit.quotaAuthenticated': '{remaining}/{limit} API requests left (authenticated), resets {time}',
+        'rateLimit.quotaAnonymous': '{remaining}/{limit} API requests left (anonymous), resets {time}',
+        'rateLimit.unknown': 'unknown',
+        'offline.notice': 'Offline — data from {time}',
+        'offline.earlierVisit': 'an earlier visit',
+
+        'settings.title': 'GitHub API Access',
+        'settings.close': 'Close settings',
+        'settings.text': "Anonymous visitors share GitHub's limit of 60 requests per hour. Add a personal access token or GitHub App token to raise it. The token only needs read access to public repositories and is stored in this browser.",
+        'settings.token': 'Token',
+        'settings.remove': 'Remove token',
+        'settings.save': 'Save token',
+        'settings.usingSaved': 'Using your saved token.',
+        'settings.usingConfig': 'Using the token provided by this deployment.',
+        'settings.anonymous': 'Not authenticated - limited to {count} requests per hour.',
+        'settings.enterToken': 'Enter a token first.',
+        'settings.checking': 'Checking token...',
+        'settings.rejected': 'GitHub rejected this token.',
+        'settings.unreachable': "Couldn't reach GitHub to check the token. Try again once you're online.",
+        'settings.saved': 'Token saved - {remaining}/{limit} requests left.',
+        'settings.removed': 'Token removed. {auth}',
+
+        'embed.title': 'Embed on another site',
+        'embed.close': 'Close embed options',
+        'embed.widget': 'Widget',
+        'embed.widget.heatmap': 'Contribution heatmap',
+        'embed.widget.stats': 'Stats (projects, contributors, commits)',
+        'embed.contributors': 'Contributors (comma-separated, optional)',
+        'embed.repos': 'Repos (comma-separated, optional)',
+        'embed.year': 'Year (optional, default last 12 months)',
+        'embed.theme': 'Theme',
+        'embed.theme.auto': "Match the visitor's system",
+        'embed.theme.light': 'Light',
+        'embed.theme.dark': 'Dark',
+        'embed.autoResize': 'Resize the iframe to fit its content',
+        'embed.snippet': 'Snippet',
+        'embed.copy': 'Copy snippet',
+        'embed.copied': 'Snippet copied to the clipboard.',
+        'embed.copyManually': 'Press Ctrl+C (or ⌘C) to copy the selected snippet.',
+
+        'footer.tagline': 'Open source, open minds, infinite possibilities.',
+        'footer.navigation': 'Navigation',
+        'footer.connect': 'Connect',
+        'footer.discussions': 'Discussions',
+        'footer.builtWith': 'Built with',
+        'footer.by': 'by AI-Develops',
+        'footer.rights': '© 2024 AI-Develops. All rights reserved.',
+    },
+
+    language: 'en',
+    locale: 'en', // BCP 47 tag dates and numbers are formatted for
+    messages: {}, // the current language's catalog - empty for English
+    weekStart: 0, // 0 = Sunday, 1 = Monday
+    formatters: new Map(),
+
+    async init() {
+        const { language, tag } = this.detect();
+        await this.apply(language, tag);
+
+        const select = elements.localeSelect;
+        select.innerHTML = html`${Object.entries(this.LOCALES).map(([value, name]) => html`
+            <option value="${value}" lang="${value}">${name}</option>
+        `)}`;
+        select.value = this.language;
+        select.addEventListener('change', (e) => this.set(e.target.value));
+    },
+
+    detect() {
+        const fromUrl = new URLSearchParams(window.location.search).get('hl');
+        const candidates = [
+            fromUrl,
+            localStorage.getItem(CONFIG.localeStorageKey),
+            ...(navigator.languages || [navigator.language]),
+        ];
+
+        for (const tag of candidates) {
+            const language = this.languageOf(tag);
+            if (language) return { language, tag: this.localeFor(language, tag) };
+        }
+        return { language: 'en', tag: this.localeFor('en') };
+    },
+
+    // 'de' for 'de-AT', or null when the language has no catalog
+    languageOf(tag) {
+        if (!tag) return null;
+        const language = String(tag).toLowerCase().split(/[-_]/)[0];
+        return Object.hasOwn(this.LOCALES, language) ? language : null;
+    },
+
+    // The most specific valid tag for `language`: the one given, else the browser's own
+    localeFor(language, tag = language) {
+        const regional = [tag, ...(navigator.languages || [navigator.language])]
+            .find(candidate => this.languageOf(candidate) === language && String(candidate).includes('-'));
+        try {
+            return Intl.getCanonicalLocales(regional || language)[0];
+        } catch {
+            return language;
+        }
+    },
+
+    // The switcher's choice; it also replaces a ?hl= the page was opened with
+    async set(language) {
+        if (!this.languageOf(language)) return;
+        localStorage.setItem(CONFIG.localeStorageKey, language);
+
+        const params = new URLSearchParams(window.location.search);
+        if (params.has('hl')) {
+            params.delete('hl');
+            const search = params.toString();
+            history.replaceState(history.state, '', `${window.location.pathname}${search ? `?${search}` : ''}${window.location.hash}`);
+        }
+
+        await this.apply(language, this.localeFor(language));
+        DataEvents.emit('locale', { language: this.language, locale: this.locale });
+    },
+
+    async apply(language, tag) {
+        this.messages = language === 'en' ? {} : await this.load(language);
+        this.language = language;
+        this.locale = tag;
+        this.formatters = new Map();
+        this.weekStart = this.readWeekStart(tag);
+        document.documentElement.lang = tag;
+        this.translate();
+    },
+
+    async load(language) {
+        try {
+            const response = await fetch(`${CONFIG.localesUrl}${language}.json`);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            return await response.json();
+        } catch (e) {
+            console.warn(`[I18n] Could not load ${language} messages, using English:`, e.message);
+            return {};
+        }
+    },
+
+    readWeekStart(tag) {
+        try {
+            const locale = new Intl.Locale(tag);
+            const info = locale.getWeekInfo?.() ?? locale.weekInfo;
+            // Intl numbers weekdays 1 (Monday) to 7 (Sunday)
+            if (info?.firstDay) return info.firstDay % 7;
+            return this.SUNDAY_FIRST.includes(locale.maximize().region) ? 0 : 1;
+        } catch {
+            return 0;
+        }
+    },
+
+    translate(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(el => {
+            el.textContent = this.t(el.dataset.i18n);
+        });
+        root.querySelectorAll('[data-i18n-attr]').forEach(el => {
+            el.dataset.i18nAttr.split(';').forEach(pair => {
+                const [attribute, key] = pair.split(':').map(part => part.trim());
+                el.setAttribute(attribute, this.t(key));
+            });
+        });
+    },
+
+    // The raw message for `key`, with the plural form for `count` picked
+    message(key, count) {
+        const message = this.messages[key] ?? this.MESSAGES[key];
+        if (message === undefined) {
+            console.warn(`[I18n] Missing message: ${key}`);
+            return key;
+        }
+        if (typeof message === 'string') return message;
+
+        if (count === 0 && message.zero !== undefined) return message.zero;
+        return message[this.formatter('PluralRules').select(count)] ?? message.other;
+    },
+
+    // Plain text; {count} is formatted as a number, other params are used as given
+    t(key, params = {}) {
+        return this.message(key, params.count).replace(/\{(\w+)\}/g, (match, name) =>
+            Object.hasOwn(params, name) ? this.param(name, params[name]) : match);
+    },
+
+    // Like t(), but params may be html`` markup; the message text itself is escaped
+    html(key, params = {}) {
+        const parts = this.message(key, params.count).split(/\{(\w+)\}/);
+        const strings = parts.filter((part, i) => i % 2 === 0).map(part => Html.escape(part));
+        const values = parts.filter((part, i) => i % 2 === 1)
+            .map(name => Object.hasOwn(params, name) ? this.param(name, params[name]) : `{${name}}`);
+        return Html.render(strings, values);
+    },
+
+    param(name, value) {
+        return name === 'count' && typeof value === 'number' ? this.number(value) : value;
+    },
+
+    // Intl formatters are costly to build and a heatmap formats hundreds of dates
+    formatter(type, options = {}) {
+        const key = `${type}:${JSON.stringify(options)}`;
+        if (!this.formatters.has(key)) {
+            this.formatters.set(key, new Intl[type](this.locale, options));
+        }
+        return this.formatters.get(key);
+    },
+
+    number(value, options) {
+        return this.formatter('NumberFormat', options).format(value);
+    },
+
+    // `value` out of 100, with one decimal
+    percent(value) {
+        return this.number(value / 100, { style: 'percent', minimumFractionDigits: 1, maximumFractionDigits: 1 });
+    },
+
+    date(value, options) {
+        return this.formatter('DateTimeFormat', options).format(new Date(value));
+    },
+
+    list(items) {
+        return this.formatter('ListFormat', { style: 'short', type: 'unit' }).format(items);
+    },
+
+    // "3 days ago", "yesterday", "in 2 hours"
+    relative(value, now = Date.now()) {
+        const seconds = (new Date(value) - now) / 1000;
+        const units = [['year', 31536000], ['month', 2592000], ['week', 604800], ['day', 86400], ['hour', 3600], ['minute', 60]];
+        const [unit, size] = units.find(([, length]) => Math.abs(seconds) >= length) || ['second', 1];
+        return this.formatter('RelativeTimeFormat', { numeric: 'auto' }).format(Math.round(seconds / size), unit);
+    },
+
+    // A relative <time> with the full date and time as its tooltip
+    timeHtml(value) {
+        const date = new Date(value);
+        if (!value || Number.isNaN(date.getTime())) return '—';
+        return html`<time datetime="${date.toISOString()}" title="${this.date(date, { dateStyle: 'medium', timeStyle: 'short' })}">${this.relative(date)}</time>`;
+    },
+
+    // Short weekday names, Sunday first
+    weekdays() {
+        return [0, 1, 2, 3, 4, 5, 6].map(d => this.date(Date.UTC(2024, 0, 7 + d), { weekday: 'short', timeZone: 'UTC' }));
+    },
+};
+
+// ============================================
+// IndexedDB Cache Manager
 // ============================================
 const CacheManager = {
-    getKey(endpoint) {
-        return `${CONFIG.cacheKeyPrefix}${endpoint}`;
+    dbPromise: null,
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(CONFIG.cacheDb, 1);
+
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    // Payloads and bookkeeping live apart so eviction never loads the data
+                    db.createObjectStore('responses', { keyPath: 'endpoint' });
+                    db.createObjectStore('meta', { keyPath: 'endpoint' })
+                        .createIndex('lastAccess', 'lastAccess');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    },
+
+    /**
+     * Runs `operation(responses, meta, done)` in one transaction over both
+     * stores and resolves with whatever was passed to `done` once it commits.
+     */
+    async transaction(mode, operation) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(['responses', 'meta'], mode);
+            let result;
+
+            operation(tx.objectStore('responses'), tx.objectStore('meta'), value => { result = value; });
+
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
     },
 
-    get(endpoint) {
+    async get(endpoint) {
         try {
-            const key = this.getKey(endpoint);
-            const cached = localStorage.getItem(key);
+            const cached = await this.transaction('readwrite', (responses, meta, done) => {
+                const response = responses.get(endpoint);
+                const info = meta.get(endpoint);
+
+                info.onsuccess = () => {
+                    if (!info.result || !response.result) return;
+                    meta.put({ ...info.result, lastAccess: Date.now() });
+                    done({ ...response.result, timestamp: info.result.timestamp });
+                };
+            });
             
             if (!cached) return null;
             
-            const { data, timestamp } = JSON.parse(cached);
+            const { data, timestamp, pages = [] } = cached;
             const age = Date.now() - timestamp;
             
             // Return data regardless of age (we'll check freshness separately)
-            return { data, timestamp, age, isStale: age > CONFIG.cacheDuration };
+            return { data, timestamp, pages, age, isStale: age > CONFIG.cacheDuration };
         } catch (e) {
             console.warn('Cache read error:', e);
             return null;
         }
     },
 
-    set(endpoint, data) {
+    /**
+     * `pages` holds the validators (ETag / Last-Modified) of every page the
+     * response was built from, so the next refresh can be conditional.
+     */
+    async set(endpoint, data, pages = [], timestamp = Date.now()) {
+        const size = this.estimateSize(data);
+
         try {
-            const key = this.getKey(endpoint);
-            const payload = {
-                data,
-                timestamp: Date.now(),
-            };
-            localStorage.setItem(key, JSON.stringify(payload));
+            await this.put(endpoint, data, pages, timestamp, size);
+        } catch (e) {
+            if (e?.name !== 'QuotaExceededError') {
+                console.warn('Cache write error:', e);
+                return;
+            }
+            // Browser quota hit - make room for this entry and try once more
+            try {
+                await this.evict(size);
+                await this.put(endpoint, data, pages, timestamp, size);
+            } catch (retryError) {
+                console.warn('Cache write error:', retryError);
+                return;
+            }
+        }
+
+        await this.evict();
+    },
+
+    put(endpoint, data, pages, timestamp, size) {
+        return this.transaction('readwrite', (responses, meta) => {
+            responses.put({ endpoint, data, pages });
+            meta.put({ endpoint, timestamp, size, lastAccess: Date.now() });
+        });
+    },
+
+    // Rough in-memory footprint, only used to keep the store under budget
+    estimateSize(data) {
+        try {
+            return JSON.stringify(data).length * 2;
         } catch (e) {
-            console.warn('Cache write error:', e);
-            // If localStorage is full, clear old cache
-            this.clearOld();
+            return 0;
         }
     },
 
-    clearOld() {
+    // GitHub answered 304 - the cached copy is current again
+    async touch(endpoint) {
         try {
-            const keysToRemove = [];
-            for (let i = 0; i < localStorage.length; i++) {
-                const key = localStorage.key(i);
-                if (key?.startsWith(CONFIG.cacheKeyPrefix)) {
-                    const cached = JSON.parse(localStorage.getItem(key) || '{}');
-                    if (Date.now() - (cached.timestamp || 0) > CONFIG.cacheDuration * 6) {
-                        keysToRemove.push(key);
+            await this.transaction('readwrite', (responses, meta) => {
+                const info = meta.get(endpoint);
+                info.onsuccess = () => {
+                    if (info.result) {
+                        meta.put({ ...info.result, timestamp: Date.now(), lastAccess: Date.now() });
                     }
-                }
-            }
-            keysToRemove.forEach(key => localStorage.removeItem(key));
+                };
+            });
         } catch (e) {
-            console.warn('Cache cleanup error:', e);
+            console.warn('Cache touch error:', e);
         }
     },
 
-    clear() {
+    async entries() {
+        return this.transaction('readonly', (responses, meta, done) => {
+            // Oldest access first
+            const request = meta.index('lastAccess').getAll();
+            request.onsuccess = () => done(request.result);
+        });
+    },
+
+    remove(endpoints) {
+        if (endpoints.length === 0) return Promise.resolve();
+
+        return this.transaction('readwrite', (responses, meta) => {
+            endpoints.forEach(endpoint => {
+                responses.delete(endpoint);
+                meta.delete(endpoint);
+            });
+        });
+    },
+
+    /**
+     * Drops least-recently-used entries until the store (plus `reserve`
+     * bytes about to be written) fits within CONFIG.cacheBudget.
+     */
+    async evict(reserve = 0) {
         try {
-            const keysToRemove = [];
-            for (let i = 0; i < localStorage.length; i++) {
-                const key = localStorage.key(i);
-                if (key?.startsWith(CONFIG.cacheKeyPrefix)) {
-                    keysToRemove.push(key);
-                }
+            const entries = await this.entries();
+            let total = entries.reduce((sum, entry) => sum + entry.size, 0) + reserve;
+            const victims = [];
+
+            for (const entry of entries) {
+                if (total <= CONFIG.cacheBudget) break;
+                victims.push(entry.endpoint);
+                total -= entry.size;
             }
-            keysToRemove.forEach(key => localStorage.removeItem(key));
+
+            if (victims.length > 0) {
+                console.info(`[Cache] Evicting ${victims.length} least recently used entries`);
+                await this.remove(victims);
+            }
+        } catch (e) {
+            console.warn('Cache eviction error:', e);
+        }
+    },
+
+    async clear() {
+        try {
+            await this.transaction('readwrite', (responses, meta) => {
+                responses.clear();
+                meta.clear();
+            });
         } catch (e) {
             console.warn('Cache clear error:', e);
         }
     },
+
+    /**
+     * One-time move of entries written by the old localStorage cache.
+     */
+    async migrate() {
+        const keys = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key?.startsWith(CONFIG.cacheKeyPrefix)) {
+                keys.push(key);
+            }
+        }
+
+        for (const key of keys) {
+            try {
+                const { data, timestamp, pages = [] } = JSON.parse(localStorage.getItem(key));
+                await this.set(key.slice(CONFIG.cacheKeyPrefix.length), data, pages, timestamp);
+            } catch (e) {
+                console.warn('Cache migration error:', e);
+            }
+            localStorage.removeItem(key);
+        }
+
+        if (keys.length > 0) {
+            console.info(`[Cache] Migrated ${keys.length} entries from localStorage`);
+        }
+    },
 };
 
 // ============================================
-// GitHub API with LocalStorage Caching
+// Site Config (optional, written at deploy time)
 // ============================================
-const GitHubAPI = {
-    rateLimited: false,
+const SiteConfig = {
+    values: {},
 
-    async fetch(endpoint, forceRefresh = false) {
-        const url = `${CONFIG.apiBase}${endpoint}`;
-        
-        // Check cache first
-        const cached = CacheManager.get(endpoint);
-        
-        // If we're rate-limited, always return cached data
-        if (this.rateLimited && cached) {
-            console.info(`[Cache] Using cached data for ${endpoint} (rate limited)`);
-            return cached.data;
-        }
-        
-        // Return fresh cache if available and not forcing refresh
-        if (cached && !cached.isStale && !forceRefresh) {
-            console.info(`[Cache] Using fresh cache for ${endpoint}`);
-            return cached.data;
-        }
-        
-        // We have stale cache - use it but try to refresh in background
-        if (cached && cached.isStale) {
-            console.info(`[Cache] Using stale cache, will refresh: ${endpoint}`);
-            // Try to refresh but don't wait
-            this.refreshInBackground(endpoint, url);
-            return cached.data;
-        }
+    // Accounts whose repos are indexed, as { login, type: 'org' | 'user' }
+    owners: [{ login: CONFIG.org, type: 'org' }],
 
-        // No cache - must fetch
+    async load() {
         try {
-            const data = await this.doFetch(url);
-            CacheManager.set(endpoint, data);
-            return data;
-        } catch (error) {
-            console.error(`[API] Fetch failed: ${error.message}`);
-            return null;
+            const response = await fetch(CONFIG.siteConfigUrl, { cache: 'no-cache' });
+            this.values = response.ok ? await response.json() : {};
+        } catch (e) {
+            // No config file deployed - run with the defaults
+            this.values = {};
         }
+        this.owners = this.readOwners();
+        return this.values;
     },
 
-    async refreshInBackground(endpoint, url) {
-        try {
-            const data = await this.doFetch(url);
-            if (data) {
-                CacheManager.set(endpoint, data);
-            }
-        } catch (error) {
-            // Silently fail - we already have stale data
-        }
+    /**
+     * The first of these that names anyone wins: `?org=`/`?user=` in the page
+     * URL (comma-separated), `orgs`/`users` in site.config.json, CONFIG.org.
+     */
+    readOwners() {
+        const params = new URLSearchParams(window.location.search);
+        const fromUrl = this.toOwners(params.get('org'), params.get('user'));
+        if (fromUrl.length > 0) return fromUrl;
+
+        const fromConfig = this.toOwners(this.values.orgs, this.values.users);
+        return fromConfig.length > 0 ? fromConfig : [{ login: CONFIG.org, type: 'org' }];
     },
 
-    async doFetch(url) {
-        const response = await fetch(url, {
-            headers: {
-                'Accept': 'application/vnd.github.v3+json',
-            },
+    toOwners(orgs, users) {
+        const list = (value) => (Array.isArray(value) ? value : String(value || '').split(','))
+            .map(login => String(login).trim())
+            .filter(login => /^[A-Za-z0-9-]+$/.test(login));
+
+        const seen = new Set();
+        return [
+            ...list(orgs).map(login => ({ login, type: 'org' })),
+            ...list(users).map(login => ({ login, type: 'user' })),
+        ].filter(({ login }) => {
+            // Logins are case-insensitive on GitHub
+            const key = login.toLowerCase();
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
         });
+    },
 
-        if (response.status === 403) {
-            // Check if it's a rate limit issue
-            const rateLimit = response.headers.get('X-RateLimit-Remaining');
-            const rateLimitReset = response.headers.get('X-RateLimit-Reset');
-            
-            if (rateLimit === '0' || rateLimitReset) {
-                this.rateLimited = true;
-                const resetTime = rateLimitReset ? new Date(parseInt(rateLimitReset) * 1000) : null;
-                console.warn(
-                    `[API] Rate limited. Reset at: ${resetTime?.toLocaleTimeString() || 'unknown'}`
-                );
-                
-                // Reset rate limit flag after reset time
-                if (rateLimitReset) {
-                    const waitTime = (parseInt(rateLimitReset) * 1000) - Date.now() + 1000;
-                    if (waitTime > 0 && waitTime < 3600000) { // Max 1 hour
-                        setTimeout(() => {
-                            this.rateLimited = false;
-                            console.info('[API] Rate limit reset');
-                        }, waitTime);
-                    }
-                }
-            }
-            throw new Error('Rate limited (403)');
-        }
+    // For titles: "AI-Develops", or "AI-Develops, octocat" across several owners
+    get label() {
+        return this.owners.map(owner => owner.login).join(', ');
+    },
 
-        if (!response.ok) {
-            throw new Error(`HTTP ${response.status}`);
-        }
+    get isMultiOwner() {
+        return this.owners.length > 1;
+    },
 
-        this.rateLimited = false;
-        return await response.json();
+    hasOwner(fullName) {
+        const owner = this.ownerOf(fullName).toLowerCase();
+        return this.owners.some(({ login }) => login.toLowerCase() === owner);
     },
 
-    async getRepos() {
-        const repos = await this.fetch(`/orgs/${CONFIG.org}/repos?per_page=100&sort=updated`);
-        return repos?.filter(r => !r.archived && !r.private) || [];
+    ownerOf(fullName) {
+        return fullName.split('/')[0];
     },
 
-    async getContributorsWithStats(repo) {
-        const stats = await this.fetch(`/repos/${CONFIG.org}/${repo}/stats/contributors`);
-        return stats || [];
+    // Repos are keyed by full name; a bare name (older links) means the first owner's repo
+    fullName(name) {
+        return name.includes('/') ? name : `${this.owners[0].login}/${name}`;
+    },
+
+    // The owner is only worth showing when more than one is indexed
+    repoLabel(fullName) {
+        return this.isMultiOwner ? fullName : fullName.split('/').pop();
     },
 };
 
 // ============================================
-// Projects Section
+// Repo Curation (optional curation.json)
 // ============================================
-const ProjectsSection = {
-    filter: 'all',
+/**
+ * Declarative rules for which repos are listed and how:
+ *
+ *   {
+ *     "include": ["*"], "exclude": ["sandbox-*", "Other-Org/old-*"],
+ *     "hideForks": true, "hideTemplates": true,
+ *     "pinned": ["constellation"],
+ *     "categories": ["Apps", "Libraries"],
+ *     "repos": { "constellation": { "category": "Apps", "description": "...",
+ *                                   "homepage": "...", "screenshot": "img/constellation.png" } }
+ *   }
+ *
+ * Patterns are case-insensitive globs (`*`, `?`) matched against the repo's
+ * name, or its full name when they contain a slash. `repos` is keyed the same
+ * way, full names taking precedence over bare names.
+ */
+const Curation = {
+    OVERRIDE_FIELDS: ['description', 'homepage', 'category', 'screenshot'],
 
-    init() {
-        document.querySelectorAll('.projects__filter-btn').forEach(btn => {
+    include: [],
+    exclude: [],
+    pinned: [],
+    categories: [],
+    overrides: new Map(),
+    hideForks: false,
+    hideTemplates: false,
+
+    async load() {
+        let values = {};
+        try {
+            const response = await fetch(CONFIG.curationUrl, { cache: 'no-cache' });
+            if (response.ok) values = await response.json();
+        } catch (e) {
+            // No curation file deployed (or it isn't valid JSON) - list everything
+            console.info(`[Curation] Not applied: ${e.message}`);
+        }
+
+        const patterns = (list) => (Array.isArray(list) ? list : [])
+            .filter(pattern => typeof pattern === 'string' && pattern.trim())
+            .map(pattern => this.toRegExp(pattern.trim()));
+
+        this.include = patterns(values.include);
+        this.exclude = patterns(values.exclude);
+        this.pinned = patterns(values.pinned);
+        this.categories = (Array.isArray(values.categories) ? values.categories : []).filter(c => typeof c === 'string');
+        this.hideForks = values.hideForks === true;
+        this.hideTemplates = values.hideTemplates === true;
+        this.overrides = new Map(Object.entries(values.repos || {})
+            .map(([name, override]) => [name.toLowerCase(), override]));
+    },
+
+    toRegExp(pattern) {
+        const source = pattern
+            .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+            .replace(/\*/g, '.*')
+            .replace(/\?/g, '.');
+        return { regex: new RegExp(`^${source}$`, 'i'), fullName: pattern.includes('/') };
+    },
+
+    matches({ regex, fullName }, repo) {
+        return regex.test(fullName ? repo.full_name : repo.name);
+    },
+
+    // Drops unlisted repos and layers the overrides (plus a pin position) over the rest
+    apply(repos) {
+        return repos.filter(repo => this.isListed(repo)).map(repo => this.override(repo));
+    },
+
+    isListed(repo) {
+        if (this.hideForks && repo.fork) return false;
+        if (this.hideTemplates && repo.is_template) return false;
+        if (this.include.length > 0 && !this.include.some(pattern => this.matches(pattern, repo))) return false;
+        return !this.exclude.some(pattern => this.matches(pattern, repo));
+    },
+
+    override(repo) {
+        const override = this.overrides.get(repo.full_name.toLowerCase())
+            || this.overrides.get(repo.name.toLowerCase())
+            || {};
+        const curated = { ...repo, pin: null };
+
+        this.OVERRIDE_FIELDS.forEach(field => {
+            if (typeof override[field] === 'string') curated[field] = override[field];
+        });
+
+        const pin = this.pinned.findIndex(pattern => this.matches(pattern, repo));
+        if (pin !== -1) curated.pin = pin;
+        return curated;
+    },
+
+    // Listed categories first, in their configured order, then the rest alphabetically
+    compareCategories(a, b) {
+        const rank = (category) => {
+            const index = this.categories.indexOf(category);
+            return index === -1 ? this.categories.length : index;
+        };
+        return rank(a) - rank(b) || a.localeCompare(b);
+    },
+};
+
+// ============================================
+// Contributor Identities (bots and aliases)
+// ============================================
+/**
+ * Decides who a stats author counts as. Bots - GitHub's `Bot` accounts,
+ * `[bot]` logins and any `bots` named in site.config.json - are left out
+ * unless the visitor shows them, and `aliases` fold a person's other
+ * logins into one:
+ *
+ *     { "aliases": { "octocat": ["octocat-work"] }, "bots": ["ci-runner"] }
+ */
+const Identity = {
+    aliases: new Map(), // lowercased login -> canonical login
+    bots: new Set(), // lowercased logins
+    showBots: false,
+
+    init() {
+        const { aliases, bots } = SiteConfig.values;
+        this.aliases = new Map();
+        if (aliases && typeof aliases === 'object') {
+            Object.entries(aliases).forEach(([login, others]) => {
+                [login, ...(Array.isArray(others) ? others : [others])]
+                    .forEach(alias => this.aliases.set(String(alias).toLowerCase(), login));
+            });
+        }
+        this.bots = new Set((Array.isArray(bots) ? bots : []).map(login => String(login).toLowerCase()));
+        this.showBots = localStorage.getItem(CONFIG.showBotsStorageKey) === 'true';
+    },
+
+    setShowBots(show) {
+        this.showBots = show;
+        if (show) {
+            localStorage.setItem(CONFIG.showBotsStorageKey, 'true');
+        } else {
+            localStorage.removeItem(CONFIG.showBotsStorageKey);
+        }
+    },
+
+    isBot({ login, type }) {
+        return type === 'Bot' || /\[bot\]$/i.test(login) || this.bots.has(login.toLowerCase());
+    },
+
+    // The login an author's commits are credited to, or null while they are hidden
+    resolve(author) {
+        if (!author?.login) return null;
+        if (!this.showBots && this.isBot(author)) return null;
+        return this.canonical(author.login);
+    },
+
+    canonical(login) {
+        return this.aliases.get(login.toLowerCase()) ?? login;
+    },
+};
+
+// ============================================
+// Auth Manager (optional GitHub token)
+// ============================================
+const AuthManager = {
+    token: null,
+    source: null, // 'settings' | 'config'
+
+    init() {
+        const saved = localStorage.getItem(CONFIG.tokenStorageKey);
+
+        if (saved) {
+            this.token = saved;
+            this.source = 'settings';
+        } else if (SiteConfig.values.githubToken) {
+            this.token = SiteConfig.values.githubToken;
+            this.source = 'config';
+        }
+    },
+
+    get isAuthenticated() {
+        return Boolean(this.token);
+    },
+
+    getHeaders() {
+        return this.token ? { 'Authorization': `Bearer ${this.token}` } : {};
+    },
+
+    save(token) {
+        localStorage.setItem(CONFIG.tokenStorageKey, token);
+        this.token = token;
+        this.source = 'settings';
+        GitHubAPI.rateLimited = false;
+    },
+
+    clear() {
+        localStorage.removeItem(CONFIG.tokenStorageKey);
+        this.token = null;
+        this.source = null;
+        this.init(); // fall back to a deploy-time token if there is one
+    },
+
+    // Called when GitHub answers 401 - drop the token and carry on anonymously
+    reject() {
+        console.warn(`[Auth] Token from ${this.source} was rejected, continuing unauthenticated`);
+        if (this.source === 'settings') {
+            localStorage.removeItem(CONFIG.tokenStorageKey);
+        }
+        this.token = null;
+        this.source = null;
+        RateLimitIndicator.show(I18n.t('status.tokenRejected'), 'warning');
+    },
+
+    /**
+     * Checks a token against /rate_limit (which never counts against the
+     * quota). Resolves to the core rate info, or null if GitHub rejects it
+     * (401/403); throws when GitHub cannot be reached or answers otherwise.
+     */
+    async verify(token) {
+        const response = await fetch(`${CONFIG.apiBase}/rate_limit`, {
+            headers: {
+                'Accept': 'application/vnd.github.v3+json',
+                'Authorization': `Bearer ${token}`,
+            },
+        });
+        if (response.status === 401 || response.status === 403) return null;
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+        const { resources } = await response.json();
+        return resources.core;
+    },
+};
+
+// ============================================
+// GitHub API with IndexedDB Caching
+// ============================================
+const GitHubAPI = {
+    rateLimited: false,
+    pollIntervals: new Map(), // url -> ms, from X-Poll-Interval
+
+    // Returned by fetch() when GitHub answers 202 while it computes statistics
+    PENDING: Symbol('pending'),
+
+    HTML_MEDIA_TYPE: 'application/vnd.github.html+json',
+
+    /**
+     * Cached GET. With `paginate`, every page is followed through the Link
+     * header and the merged array is cached under `endpoint`. When stale data
+     * is served, `event` ({ type, ...detail }) is published through DataEvents
+     * once the background refresh brings in something new. With `html`, the
+     * endpoint's rendered HTML media type is requested and cached as a string.
+     * With `missing`, a 404 is an answer like any other: it is cached as null
+     * instead of being logged and asked again on every load.
+     */
+    async fetch(endpoint, forceRefresh = false, { paginate = false, event = null, html = false, missing = false } = {}) {
+        const url = `${CONFIG.apiBase}${endpoint}`;
+        
+        // Check cache first
+        const cached = await CacheManager.get(endpoint);
+        const load = async () => {
+            try {
+                return await (paginate ? this.doFetchAll(url, cached) : this.doFetch(url, cached, html));
+            } catch (error) {
+                if (missing && error.status === 404) return { data: null, pages: [], notModified: false, missing: true };
+                throw error;
+            }
+        };
+        
+        // If we're rate-limited, always return cached data
+        if (this.rateLimited && cached) {
+            console.info(`[Cache] Using cached data for ${endpoint} (rate limited)`);
+            return this.serveCached(cached);
+        }
+        
+        // Return fresh cache if available and not forcing refresh
+        if (cached && !cached.isStale && !forceRefresh) {
+            console.info(`[Cache] Using fresh cache for ${endpoint}`);
+            return this.serveCached(cached);
+        }
+        
+        // We have stale cache - use it but try to refresh in background
+        if (cached && cached.isStale) {
+            console.info(`[Cache] Using stale cache, will refresh: ${endpoint}`);
+            // Try to refresh but don't wait
+            this.refreshInBackground(endpoint, load, event);
+            return this.serveCached(cached);
+        }
+
+        // No cache (or forced refresh) - must fetch
+        try {
+            return await this.store(endpoint, await load());
+        } catch (error) {
+            if (error.pending) {
+                console.info(`[API] Stats still computing: ${endpoint}`);
+                return this.PENDING;
+            }
+            console.error(`[API] Fetch failed: ${error.message}`);
+            // Forced refreshes (or a dropped connection) still have the old copy
+            return cached ? this.serveCached(cached) : null;
+        }
+    },
+
+    serveCached(cached) {
+        OfflineSupport.noteData(cached.timestamp);
+        return cached.data;
+    },
+
+    async refreshInBackground(endpoint, load, event = null) {
+        try {
+            const result = await load();
+            if (!result.data && !result.missing) return;
+
+            await this.store(endpoint, result);
+            if (event && !result.notModified) {
+                const { type, ...detail } = event;
+                DataEvents.emit(type, { ...detail, endpoint, data: result.data });
+            }
+        } catch (error) {
+            // Silently fail - we already have stale data
+        }
+    },
+
+    async store(endpoint, { data, pages, notModified }) {
+        if (notModified) {
+            console.info(`[Cache] Not modified, renewed: ${endpoint}`);
+            await CacheManager.touch(endpoint);
+        } else {
+            await CacheManager.set(endpoint, data, pages);
+        }
+        return data;
+    },
+
+    fetchAll(endpoint, forceRefresh = false, options = {}) {
+        return this.fetch(endpoint, forceRefresh, { ...options, paginate: true });
+    },
+
+    /**
+     * Resolves to `{ data, pages, notModified }`. When `cached` carries
+     * validators the request is conditional, and a 304 reuses its data.
+     */
+    async doFetch(url, cached = null, html = false) {
+        const previous = cached?.pages[0];
+        const response = await this.request(url, previous, html ? this.HTML_MEDIA_TYPE : undefined);
+
+        if (response.status === 304) {
+            return { data: cached.data, pages: cached.pages, notModified: true };
+        }
+
+        return {
+            data: html ? await response.text() : await response.json(),
+            pages: [this.getValidators(url, response)],
+            notModified: false,
+        };
+    },
+
+    async doFetchAll(url, cached = null) {
+        const results = [];
+        const pages = [];
+        let notModified = Boolean(cached);
+        let next = url;
+        let offset = 0; // where the current page starts in cached.data
+
+        for (let page = 0; next && page < CONFIG.maxPages; page++) {
+            const previous = cached?.pages[page];
+            const response = await this.request(next, previous);
+            let data;
+
+            if (response.status === 304) {
+                data = cached.data.slice(offset, offset + previous.count);
+                pages.push(previous);
+                // 304s are not required to repeat the Link header
+                next = this.getNextLink(response.headers.get('Link'))
+                    ?? cached.pages[page + 1]?.url ?? null;
+            } else {
+                data = await response.json();
+                if (!Array.isArray(data)) {
+                    return { data, pages: [this.getValidators(next, response)], notModified: false };
+                }
+                notModified = false;
+                pages.push({ ...this.getValidators(next, response), count: data.length });
+                next = this.getNextLink(response.headers.get('Link'));
+            }
+
+            results.push(...data);
+            offset += previous?.count ?? 0;
+        }
+
+        if (next) {
+            console.warn(`[API] Stopped paginating ${url} after ${CONFIG.maxPages} pages`);
+        }
+
+        notModified = notModified && pages.length === cached.pages.length;
+        return { data: results, pages, notModified };
+    },
+
+    getValidators(url, response) {
+        return {
+            url,
+            etag: response.headers.get('ETag'),
+            lastModified: response.headers.get('Last-Modified'),
+        };
+    },
+
+    getNextLink(linkHeader) {
+        // Link: <https://api.github.com/...&page=2>; rel="next", <...>; rel="last"
+        const match = linkHeader?.match(/<([^>]+)>;\s*rel="next"/);
+        return match ? match[1] : null;
+    },
+
+    async request(url, validators = null, accept = 'application/vnd.github.v3+json') {
+        const auth = AuthManager.getHeaders();
+        const headers = {
+            'Accept': accept,
+            ...auth,
+        };
+
+        // Conditional request - a 304 does not count against the rate limit
+        if (validators?.etag) {
+            headers['If-None-Match'] = validators.etag;
+        } else if (validators?.lastModified) {
+            headers['If-Modified-Since'] = validators.lastModified;
+        }
+
+        const response = await fetch(url, { headers });
+
+        RateLimitIndicator.updateQuota(response.headers);
+
+        // Event endpoints say how often they may be polled
+        const pollInterval = Number(response.headers.get('X-Poll-Interval'));
+        if (pollInterval > 0) this.pollIntervals.set(url, pollInterval * 1000);
+
+        if (response.status === 401 && auth.Authorization) {
+            // Bad or expired token - retry the same request anonymously. Requests
+            // sent alongside it get the same 401 after the token is already gone
+            if (AuthManager.getHeaders().Authorization === auth.Authorization) AuthManager.reject();
+            return this.request(url, validators, accept);
+        }
+
+        if (response.status === 403) {
+            // Check if it's a rate limit issue
+            const rateLimit = response.headers.get('X-RateLimit-Remaining');
+            const rateLimitReset = response.headers.get('X-RateLimit-Reset');
+            
+            if (rateLimit === '0' || rateLimitReset) {
+                this.rateLimited = true;
+                const resetTime = rateLimitReset ? new Date(parseInt(rateLimitReset) * 1000) : null;
+                console.warn(
+                    `[API] Rate limited. Reset at: ${resetTime?.toLocaleTimeString() || 'unknown'}`
+                );
+                
+                // Reset rate limit flag after reset time
+                if (rateLimitReset) {
+                    const waitTime = (parseInt(rateLimitReset) * 1000) - Date.now() + 1000;
+                    if (waitTime > 0 && waitTime < 3600000) { // Max 1 hour
+                        setTimeout(() => {
+                            this.rateLimited = false;
+                            console.info('[API] Rate limit reset');
+                        }, waitTime);
+                    }
+                }
+            }
+            throw new Error('Rate limited (403)');
+        }
+
+        if (response.status === 202) {
+            // Stats endpoints answer 202 with an empty body until GitHub has
+            // computed them - never treat that as data (or cache it)
+            const error = new Error('Stats not ready (202)');
+            error.pending = true;
+            throw error;
+        }
+
+        if (response.status === 304) {
+            this.rateLimited = false;
+            return response;
+        }
+
+        if (!response.ok) {
+            const error = new Error(`HTTP ${response.status}`);
+            error.status = response.status;
+            throw error;
+        }
+
+        this.rateLimited = false;
+        return response;
+    },
+
+    /**
+     * Every configured owner's repos, merged. Each owner's list is cached
+     * under its own endpoint, and a background refresh of one publishes a
+     * 'repos' event naming that owner.
+     */
+    async getRepos() {
+        const lists = await Promise.all(SiteConfig.owners.map(owner => this.fetchAll(
+            this.reposEndpoint(owner),
+            false,
+            { event: { type: 'repos', owner: owner.login } }
+        )));
+        return this.filterRepos(lists.flatMap(repos => repos || []));
+    },
+
+    reposEndpoint({ login, type }) {
+        return type === 'user'
+            ? `/users/${login}/repos?type=owner&per_page=${CONFIG.perPage}&sort=updated`
+            : `/orgs/${login}/repos?per_page=${CONFIG.perPage}&sort=updated`;
+    },
+
+    // Archived and private repos never show; curation.json decides about the rest
+    filterRepos(repos) {
+        return Curation.apply(repos?.filter(r => !r.archived && !r.private) || []);
+    },
+
+    /**
+     * Resolves to null while GitHub is still computing the stats, so callers
+     * can hand the repo to StatsPoller instead of counting it as empty.
+     * Like every repo getter below, it takes the repo's full name (owner/name),
+     * which also keeps each owner's cache entries apart.
+     */
+    async getContributorsWithStats(repo, forceRefresh = false) {
+        const stats = await this.fetch(
+            `/repos/${repo}/stats/contributors`,
+            forceRefresh,
+            { event: { type: 'stats', repo } }
+        );
+        // Entries cached before 202 handling existed hold the `{}` placeholder body
+        if (stats === this.PENDING || (stats && !Array.isArray(stats))) return null;
+        return stats || [];
+    },
+
+    /**
+     * Per-day commit counts for the last 52 weeks, summed over all
+     * contributors. Null while GitHub is still computing them.
+     */
+    async getCommitActivity(repo, forceRefresh = false) {
+        const weeks = await this.fetch(
+            `/repos/${repo}/stats/commit_activity`,
+            forceRefresh,
+            { event: { type: 'daily', repo } }
+        );
+        if (weeks === this.PENDING || (weeks && !Array.isArray(weeks))) return null;
+        return weeks || [];
+    },
+
+    /**
+     * An owner's recent public events (GitHub keeps 90 days, at most 300).
+     * A background refresh publishes an 'events' event naming the owner.
+     */
+    async getEvents(owner, forceRefresh = false) {
+        const events = await this.fetch(
+            this.eventsEndpoint(owner),
+            forceRefresh,
+            { event: { type: 'events', owner: owner.login } }
+        );
+        return Array.isArray(events) ? events : null;
+    },
+
+    eventsEndpoint({ login, type }) {
+        return type === 'user'
+            ? `/users/${login}/events/public?per_page=${CONFIG.perPage}`
+            : `/orgs/${login}/events?per_page=${CONFIG.perPage}`;
+    },
+
+    // Milliseconds GitHub last asked clients to wait between polls of `endpoint`
+    getPollInterval(endpoint) {
+        return this.pollIntervals.get(`${CONFIG.apiBase}${endpoint}`) || 0;
+    },
+
+    // The repo's Pages site ({ status, html_url, ... }), or null without one
+    getPages(repo) {
+        return this.fetch(`/repos/${repo}/pages`, false, { missing: true });
+    },
+
+    async getPagesDeployments(repo) {
+        const deployments = await this.fetch(
+            `/repos/${repo}/deployments?environment=github-pages&per_page=${CONFIG.pagesDeployments}`,
+            false,
+            { missing: true }
+        );
+        return Array.isArray(deployments) ? deployments : [];
+    },
+
+    // Newest first - the first status is the deployment's current state
+    async getDeploymentStatuses(repo, id) {
+        const statuses = await this.fetch(`/repos/${repo}/deployments/${id}/statuses?per_page=1`, false, { missing: true });
+        return Array.isArray(statuses) ? statuses : [];
+    },
+
+    getRepo(repo) {
+        return this.fetch(`/repos/${repo}`);
+    },
+
+    // Resolves to the README rendered as HTML, or null when there is none
+    getReadme(repo) {
+        return this.fetch(`/repos/${repo}/readme`, false, { html: true });
+    },
+
+    async getLanguages(repo) {
+        return await this.fetch(`/repos/${repo}/languages`) || {};
+    },
+
+    async getReleases(repo) {
+        return await this.fetch(`/repos/${repo}/releases?per_page=5`) || [];
+    },
+
+    async getTags(repo) {
+        return await this.fetch(`/repos/${repo}/tags?per_page=5`) || [];
+    },
+
+    async getOpenPulls(repo) {
+        return await this.fetch(`/repos/${repo}/pulls?state=open&per_page=${CONFIG.perPage}`) || [];
+    },
+};
+
+// ============================================
+// Build-time Snapshot (data/snapshot.json)
+// ============================================
+const Snapshot = {
+    data: null,
+
+    /**
+     * Loads the snapshot written by scripts/build-snapshot.js. Resolves to
+     * null when none is deployed or it was built for another version or set
+     * of owners (e.g. the URL names other orgs than site.config.json).
+     */
+    async load() {
+        try {
+            const response = await fetch(CONFIG.snapshotUrl, { cache: 'no-cache' });
+            if (!response.ok) return null;
+
+            const data = await response.json();
+            if (data.version !== CONFIG.snapshotVersion || !this.matchesOwners(data.owners)) {
+                const owners = (data.owners || []).map(owner => owner.login).join(', ') || data.org;
+                console.warn(`[Snapshot] Ignoring snapshot v${data.version} for ${owners}`);
+                return null;
+            }
+
+            this.data = data;
+            return data;
+        } catch (e) {
+            return null;
+        }
+    },
+
+    matchesOwners(owners) {
+        const key = (list) => list.map(({ login, type }) => `${type}:${login.toLowerCase()}`).sort().join(' ');
+        return Array.isArray(owners) && key(owners) === key(SiteConfig.owners);
+    },
+
+    get timestamp() {
+        return Date.parse(this.data.generatedAt);
+    },
+
+    get isFresh() {
+        return Boolean(this.data) && Date.now() - this.timestamp < CONFIG.snapshotMaxAge;
+    },
+};
+
+// ============================================
+// Stats Poller (GitHub 202 "computing" responses)
+// ============================================
+const StatsPoller = {
+    /**
+     * Re-requests a repo's contributor stats (or, with `load`, another stats
+     * endpoint) with exponential backoff until GitHub has them ready.
+     * Resolves to null if they never arrive.
+     */
+    async poll(repo, load = (name, force) => GitHubAPI.getContributorsWithStats(name, force)) {
+        const { maxAttempts, baseDelay, maxDelay } = CONFIG.statsPolling;
+
+        for (let attempt = 0; attempt < maxAttempts; attempt++) {
+            await this.wait(Math.min(baseDelay * 2 ** attempt, maxDelay));
+
+            const stats = await RequestScheduler.run(() => load(repo, true));
+            if (stats !== null) return stats;
+        }
+
+        console.warn(`[Stats] Gave up waiting for ${repo} after ${maxAttempts} attempts`);
+        return null;
+    },
+
+    wait(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    },
+};
+
+// ============================================
+// Request Scheduler (concurrency-limited queue)
+// ============================================
+const RequestScheduler = {
+    active: 0,
+    queue: [],
+
+    /**
+     * Queues an async task and resolves with its result once it has run.
+     * At most CONFIG.concurrency tasks are in flight at any time.
+     */
+    run(task) {
+        return new Promise((resolve, reject) => {
+            this.queue.push({ task, resolve, reject });
+            this.next();
+        });
+    },
+
+    next() {
+        while (this.active < CONFIG.concurrency && this.queue.length > 0) {
+            const { task, resolve, reject } = this.queue.shift();
+            this.active++;
+
+            Promise.resolve()
+                .then(task)
+                .then(resolve, reject)
+                .finally(() => {
+                    this.active--;
+                    this.next();
+                });
+        }
+    },
+};
+
+// ============================================
+// Pages Health (build and deployment status)
+// ============================================
+/**
+ * Whether a repo's live demo is actually up, from its Pages site and its
+ * `github-pages` deployments. A record is `{ status, deployments }`: the
+ * Pages build status and the newest deployments' current states, walked
+ * back only as far as the last successful one. The snapshot generator
+ * writes records of the same shape.
+ */
+const PagesHealth = {
+    records: new Map(), // repo full name -> record
+
+    apply(records = {}) {
+        Object.entries(records).forEach(([repo, record]) => this.records.set(repo, record));
+    },
+
+    /**
+     * Fetches records for the repos with Pages, then re-renders the cards
+     * once. That is at least three requests per repo, so anonymous visitors,
+     * who share 60 an hour with the rest of the page, only get what the
+     * snapshot has.
+     */
+    async loadAll(repos) {
+        if (!AuthManager.isAuthenticated) {
+            console.info('[Pages] Skipping deployment status lookups without a token');
+            return;
+        }
+
+        const withPages = repos.filter(repo => repo.has_pages);
+        if (withPages.length === 0) return;
+
+        await Promise.all(withPages.map(repo => RequestScheduler.run(() => this.load(repo.full_name))));
+        ProjectsSection.render({ animate: false });
+    },
+
+    async load(repo) {
+        const [site, deployments] = await Promise.all([
+            GitHubAPI.getPages(repo),
+            GitHubAPI.getPagesDeployments(repo),
+        ]);
+        const record = { status: site?.status ?? null, deployments: [] };
+
+        // Usually the newest deployment is also the last good one
+        for (const deployment of deployments) {
+            const [latest] = await GitHubAPI.getDeploymentStatuses(repo, deployment.id);
+            const state = latest?.state ?? 'pending';
+            // A successful deployment turns 'inactive' once a newer one replaces it
+            record.deployments.push({
+                state,
+                at: state === 'success' ? latest.created_at : deployment.created_at,
+            });
+            if (state === 'success' || state === 'inactive') break;
+        }
+
+        if (record.status || record.deployments.length > 0) this.records.set(repo, record);
+    },
+
+    /**
+     * { state, deployedAt } for a card, where state is 'ok', 'building',
+     * 'failing' or 'missing' (a github.io demo for a repo without Pages).
+     * Null when nothing is known, e.g. for demos hosted elsewhere.
+     */
+    get(repo) {
+        if (!repo.has_pages) {
+            return this.isPagesUrl(repo) ? { state: 'missing', deployedAt: null } : null;
+        }
+
+        const record = this.records.get(repo.full_name);
+        if (!record) return null;
+
+        const latest = record.deployments[0]?.state;
+        const lastGood = record.deployments.find(d => d.state === 'success' || d.state === 'inactive');
+        let state = null;
+        if (latest === 'failure' || latest === 'error' || record.status === 'errored') {
+            state = 'failing';
+        } else if (['queued', 'pending', 'in_progress'].includes(latest) || record.status === 'building') {
+            state = 'building';
+        } else if (latest === 'success' || record.status === 'built') {
+            state = 'ok';
+        }
+        return state && { state, deployedAt: lastGood?.at ?? null };
+    },
+
+    // A homepage on the owner's github.io host is only served while Pages is on
+    isPagesUrl(repo) {
+        const url = Html.url(repo.homepage);
+        if (!url) return false;
+        return new URL(url).hostname.toLowerCase() === `${SiteConfig.ownerOf(repo.full_name).toLowerCase()}.github.io`;
+    },
+};
+
+// ============================================
+// Projects Section
+// ============================================
+const ProjectsSection = {
+    filter: 'all',
+    query: '',
+    sort: 'pushed',
+    languages: new Set(),
+    topics: new Set(),
+    maxTopics: 12, // facet chips shown, most used first
+
+    init() {
+        this.readUrl();
+
+        document.querySelectorAll('.projects__filter-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.filter === this.filter);
             btn.addEventListener('click', () => {
                 document.querySelectorAll('.projects__filter-btn').forEach(b => b.classList.remove('active'));
                 btn.classList.add('active');
                 this.filter = btn.dataset.filter;
+                this.update({ animate: true });
+            });
+        });
+
+        elements.projectsSearch.value = this.query;
+        elements.projectsSearch.addEventListener('input', (e) => {
+            this.query = e.target.value;
+            this.update();
+        });
+
+        elements.projectsSort.value = this.sort;
+        elements.projectsSort.addEventListener('change', (e) => {
+            this.sort = e.target.value;
+            this.update();
+        });
+
+        elements.projectsFacets.addEventListener('click', (e) => {
+            const chip = e.target.closest('.projects__chip');
+            if (!chip) return;
+
+            const selected = chip.dataset.facet === 'language' ? this.languages : this.topics;
+            if (selected.has(chip.dataset.value)) {
+                selected.delete(chip.dataset.value);
+            } else {
+                selected.add(chip.dataset.value);
+            }
+            this.update();
+        });
+
+        DataEvents.on('repos', ({ owner, data }) => {
+            // Only this owner's list was refreshed - keep everyone else's repos
+            const others = state.repos.filter(repo => !this.isOwnedBy(repo, owner));
+            this.setRepos([...others, ...GitHubAPI.filterRepos(data)], { animate: false });
+            UpdateNote.show(elements.projectsHeader);
+        });
+
+        DataEvents.on('locale', () => this.render({ animate: false }));
+    },
+
+    async load({ animate = true } = {}) {
+        const repos = await GitHubAPI.getRepos();
+        // Keep the snapshot's repos if the live API came back empty-handed
+        if (repos.length === 0 && state.repos.length > 0) return;
+
+        this.setRepos(repos, { animate });
+    },
+
+    setRepos(repos, { animate = true } = {}) {
+        state.repos = repos;
+        state.stats.repos = state.repos.length;
+        this.render({ animate });
+        StatsDisplay.update();
+    },
+
+    update({ animate = false } = {}) {
+        this.writeUrl();
+        this.render({ animate });
+    },
+
+    // Filter state lives in the query string so filtered views can be shared
+    readUrl() {
+        const params = new URLSearchParams(window.location.search);
+        const list = (key) => (params.get(key) || '').split(',').filter(Boolean);
+
+        this.filter = params.get('filter') || 'all';
+        this.query = params.get('q') || '';
+        this.sort = params.get('sort') || 'pushed';
+        this.languages = new Set(list('lang'));
+        this.topics = new Set(list('topic'));
+    },
+
+    writeUrl() {
+        const params = new URLSearchParams(window.location.search);
+        const set = (key, value, fallback = '') => {
+            if (value && value !== fallback) {
+                params.set(key, value);
+            } else {
+                params.delete(key);
+            }
+        };
+
+        set('filter', this.filter, 'all');
+        set('q', this.query.trim());
+        set('sort', this.sort, 'pushed');
+        set('lang', [...this.languages].join(','));
+        set('topic', [...this.topics].join(','));
+
+        const search = params.toString();
+        const url = `${window.location.pathname}${search ? `?${search}` : ''}${window.location.hash}`;
+        history.replaceState(history.state, '', url);
+    },
+
+    getFilteredRepos() {
+        let repos = [...state.repos];
+        switch (this.filter) {
+            case 'featured':
+                repos = repos.filter(r => r.stargazers_count > 0 || r.forks_count > 0);
+                break;
+            case 'recent':
+                repos = repos.slice(0, 6);
+                break;
+        }
+
+        // Either of the selected languages, and all of the selected topics
+        if (this.languages.size > 0) {
+            repos = repos.filter(r => this.languages.has(r.language));
+        }
+        if (this.topics.size > 0) {
+            repos = repos.filter(r => [...this.topics].every(topic => r.topics?.includes(topic)));
+        }
+
+        const query = this.query.trim().toLowerCase();
+        if (query) {
+            repos = repos.filter(r => [r.name, r.description, r.category, ...(r.topics || [])]
+                .some(text => text && this.fuzzyMatch(query, text.toLowerCase())));
+        }
+
+        return this.sortRepos(repos);
+    },
+
+    /**
+     * Loose match: the query's characters appear in order in the text, so
+     * "cnstl" finds "constellation". Space-separated words must all match.
+     */
+    fuzzyMatch(query, text) {
+        return query.split(/\s+/).every(word => {
+            if (text.includes(word)) return true;
+
+            let position = 0;
+            for (const char of word) {
+                position = text.indexOf(char, position) + 1;
+                if (position === 0) return false;
+            }
+            return true;
+        });
+    },
+
+    sortRepos(repos) {
+        const comparators = {
+            pushed: (a, b) => new Date(b.pushed_at) - new Date(a.pushed_at),
+            stars: (a, b) => b.stargazers_count - a.stargazers_count,
+            forks: (a, b) => b.forks_count - a.forks_count,
+            name: (a, b) => a.name.localeCompare(b.name),
+        };
+        const compare = comparators[this.sort] || comparators.pushed;
+
+        // Pinned repos lead in the order curation.json pins them
+        return repos.sort((a, b) => {
+            if (this.isPinned(a) || this.isPinned(b)) {
+                if (!this.isPinned(b)) return -1;
+                if (!this.isPinned(a)) return 1;
+                if (a.pin !== b.pin) return a.pin - b.pin;
+            }
+            return compare(a, b);
+        });
+    },
+
+    isPinned(repo) {
+        return Number.isInteger(repo.pin);
+    },
+
+    /**
+     * Pinned repos, then one group per curation.json category (uncategorized
+     * repos last). Null when nothing is categorized - the grid stays flat.
+     */
+    groupRepos(repos) {
+        if (!repos.some(repo => repo.category)) return null;
+
+        const groups = new Map();
+        const add = (title, repo) => {
+            if (!groups.has(title)) groups.set(title, []);
+            groups.get(title).push(repo);
+        };
+        repos.filter(repo => this.isPinned(repo)).forEach(repo => add(I18n.t('projects.pinned'), repo));
+
+        const rest = repos.filter(repo => !this.isPinned(repo));
+        const categories = [...new Set(rest.map(repo => repo.category).filter(Boolean))]
+            .sort((a, b) => Curation.compareCategories(a, b));
+        categories.forEach(category => rest.filter(repo => repo.category === category).forEach(repo => add(category, repo)));
+        rest.filter(repo => !repo.category).forEach(repo => add(I18n.t('projects.other'), repo));
+
+        return [...groups];
+    },
+
+    getFacets() {
+        const count = (values) => {
+            const counts = new Map();
+            values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+            return [...counts.entries()].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+        };
+
+        const topics = count(state.repos.flatMap(r => r.topics || []));
+        // Selected topics stay visible even when they're not among the most used
+        const shownTopics = topics.filter(([topic], i) => i < this.maxTopics || this.topics.has(topic));
+
+        return {
+            language: count(state.repos.map(r => r.language).filter(Boolean)),
+            topic: shownTopics,
+        };
+    },
+
+    renderFacets() {
+        const facets = this.getFacets();
+        const groups = [
+            { facet: 'language', label: I18n.t('projects.language'), filter: I18n.t('projects.filterByLanguage'), selected: this.languages },
+            { facet: 'topic', label: I18n.t('projects.topics'), filter: I18n.t('projects.filterByTopic'), selected: this.topics },
+        ];
+
+        elements.projectsFacets.innerHTML = html`${groups
+            .filter(({ facet }) => facets[facet].length > 0)
+            .map(({ facet, label, filter, selected }) => html`
+                <div class="projects__facet" role="group" aria-label="${filter}">
+                    <span class="projects__facet-label">${label}</span>
+                    ${facets[facet].map(([value, count]) => html`
+                        <button class="projects__chip" data-facet="${facet}" data-value="${value}" aria-pressed="${String(selected.has(value))}">
+                            ${value}
+                            <span class="projects__chip-count">${I18n.number(count)}</span>
+                        </button>
+                    `)}
+                </div>
+            `)}`;
+    },
+
+    render({ animate = true } = {}) {
+        const repos = this.getFilteredRepos();
+        elements.projectsGrid.classList.toggle('no-animate', !animate);
+        this.renderFacets();
+        elements.projectsCount.textContent = state.repos.length > 0
+            ? I18n.t('projects.count', { shown: I18n.number(repos.length), count: state.repos.length })
+            : '';
+        
+        if (repos.length === 0) {
+            elements.projectsGrid.innerHTML = html`
+                <div class="projects__loader">
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" style="width:48px;height:48px;color:var(--color-text-muted)">
+                        <circle cx="12" cy="12" r="10"/>
+                        <path d="M12 8v4M12 16h.01"/>
+                    </svg>
+                    <p>${I18n.t('projects.empty')}</p>
+                    <p style="font-size:var(--text-xs);color:var(--color-text-muted)">
+                        ${GitHubAPI.rateLimited ? I18n.t('status.rateLimited') : ''}
+                    </p>
+                </div>
+            `;
+            return;
+        }
+
+        const groups = this.groupRepos(repos);
+        elements.projectsGrid.innerHTML = groups
+            ? html`${groups.map(([title, group]) => html`
+                <h3 class="projects__group-title">
+                    ${title}
+                    <span class="projects__group-count">${group.length}</span>
+                </h3>
+                ${group.map(repo => this.createCard(repo))}
+            `)}`
+            : html`${repos.map(repo => this.createCard(repo))}`;
+    },
+
+    isOwnedBy(repo, login) {
+        return SiteConfig.ownerOf(repo.full_name).toLowerCase() === login.toLowerCase();
+    },
+
+    getLiveUrl(repo) {
+        const homepage = Html.url(repo.homepage);
+        if (homepage || !repo.has_pages) return homepage;
+
+        // <owner>.github.io is served from the root, every other repo from a subpath
+        const host = `${SiteConfig.ownerOf(repo.full_name).toLowerCase()}.github.io`;
+        return repo.name.toLowerCase() === host
+            ? `https://${host}/`
+            : `https://${host}/${encodeURIComponent(repo.name)}`;
+    },
+
+    // The Live Demo button, or a warning in its place when Pages says the demo is down
+    demoHtml(liveUrl, health) {
+        const warningIcon = html`
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <path d="M10.29 3.86L1.82 18a2 2 0 0 0 1.71 3h16.94a2 2 0 0 0 1.71-3L13.71 3.86a2 2 0 0 0-3.42 0z"/>
+                <line x1="12" y1="9" x2="12" y2="13"/>
+                <line x1="12" y1="17" x2="12.01" y2="17"/>
+            </svg>
+        `;
+
+        if (health?.state === 'missing') {
+            return html`
+                <span class="project-card__btn project-card__btn--warning" title="${I18n.t('projects.demoMissingTitle')}">
+                    ${warningIcon}
+                    ${I18n.t('projects.demoMissing')}
+                </span>
+            `;
+        }
+
+        if (health?.state === 'failing') {
+            return html`
+                <a href="${liveUrl}" target="_blank" rel="noopener" class="project-card__btn project-card__btn--warning" title="${I18n.t('projects.demoFailingTitle')}">
+                    ${warningIcon}
+                    ${I18n.t('projects.demoFailing')}
+                </a>
+            `;
+        }
+
+        return html`
+            <a href="${liveUrl}" target="_blank" rel="noopener" class="project-card__btn project-card__btn--primary">
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <path d="M18 13v6a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V8a2 2 0 0 1 2-2h6"/>
+                    <polyline points="15 3 21 3 21 9"/>
+                    <line x1="10" y1="14" x2="21" y2="3"/>
+                </svg>
+                ${I18n.t('projects.liveDemo')}
+            </a>
+        `;
+    },
+
+    deployHtml(health) {
+        if (!health || health.state === 'missing') return null;
+
+        const deployed = health.deployedAt && I18n.timeHtml(health.deployedAt);
+        const text = deployed
+            ? I18n.html(`projects.deploy.${health.state}Since`, { time: deployed })
+            : I18n.t(`projects.deploy.${health.state}`);
+
+        return html`<p class="project-card__deploy project-card__deploy--${health.state}">${text}</p>`;
+    },
+
+    createCard(repo) {
+        const liveUrl = this.getLiveUrl(repo);
+        const health = liveUrl && PagesHealth.get(repo);
+        const screenshot = Html.url(repo.screenshot);
+        const owner = SiteConfig.ownerOf(repo.full_name);
+        const detailUrl = Router.repoHash(repo.full_name);
+        const language = repo.language || I18n.t('projects.various');
+
+        return html`
+            <article class="project-card slide-up">
+                ${screenshot && html`
+                    <img class="project-card__screenshot" src="${screenshot}" alt="" loading="lazy">
+                `}
+                <div class="project-card__header">
+                    <div class="project-card__icon">
+                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <rect x="3" y="3" width="18" height="18" rx="2"/>
+                            <path d="M3 9h18M9 21V9"/>
+                        </svg>
+                    </div>
+                    <div class="project-card__meta">
+                        <h3 class="project-card__name">
+                            <a href="${detailUrl}" class="project-card__name-link">${repo.name}</a>
+                            ${this.isPinned(repo) && html`<span class="project-card__pin">${I18n.t('projects.pinned')}</span>`}
+                        </h3>
+                        <span class="project-card__lang">${language}</span>
+                        ${SiteConfig.isMultiOwner && html`<span class="project-card__owner">${owner}</span>`}
+                    </div>
+                </div>
+                <p class="project-card__description">
+                    ${repo.description || I18n.t('projects.byOwner', { owner })}
+                </p>
+                <div class="project-card__stats">
+                    <span class="project-card__stat">
+                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <polygon points="12 2 15.09 8.26 22 9.27 17 14.14 18.18 21.02 12 17.77 5.82 21.02 7 14.14 2 9.27 8.91 8.26 12 2"/>
+                        </svg>
+                        ${I18n.number(repo.stargazers_count)}
+                    </span>
+                    <span class="project-card__stat">
+                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <circle cx="12" cy="18" r="3"/>
+                            <circle cx="6" cy="6" r="3"/>
+                            <circle cx="18" cy="6" r="3"/>
+                            <path d="M18 9v2c0 .6-.4 1-1 1H7c-.6 0-1-.4-1-1V9"/>
+                        </svg>
+                        ${I18n.number(repo.forks_count)}
+                    </span>
+                    <span class="project-card__stat">
+                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <circle cx="12" cy="12" r="10"/>
+                            <polyline points="12 6 12 12 16 14"/>
+                        </svg>
+                        ${I18n.html('projects.updated', { time: I18n.timeHtml(repo.pushed_at) })}
+                    </span>
+                </div>
+                ${this.deployHtml(health)}
+                <div class="project-card__actions">
+                    ${liveUrl && this.demoHtml(liveUrl, health)}
+                    <a href="${Html.url(repo.html_url)}" target="_blank" rel="noopener" class="project-card__btn project-card__btn--secondary">
+                        <svg viewBox="0 0 24 24" fill="currentColor">
+                            <path d="M12 0C5.37 0 0 5.37 0 12c0 5.3 3.44 9.8 8.21 11.39.6.11.79-.26.79-.58v-2.23c-3.34.73-4.03-1.42-4.03-1.42-.55-1.39-1.33-1.76-1.33-1.76-1.09-.74.08-.73.08-.73 1.2.08 1.84 1.24 1.84 1.24 1.07 1.83 2.81 1.3 3.49 1 .11-.78.42-1.31.76-1.61-2.67-.3-5.47-1.33-5.47-5.93 0-1.31.47-2.38 1.24-3.22-.12-.3-.54-1.52.12-3.18 0 0 1-.32 3.3 1.23a11.5 11.5 0 0 1 6.01 0c2.3-1.55 3.3-1.23 3.3-1.23.65 1.66.24 2.88.12 3.18.77.84 1.24 1.91 1.24 3.22 0 4.61-2.8 5.63-5.48 5.92.43.37.82 1.1.82 2.22v3.29c0 .32.19.7.8.58C20.57 21.8 24 17.3 24 12c0-6.63-5.37-12-12-12z"/>
+                        </svg>
+                        ${I18n.t('projects.code')}
+                    </a>
+                    <a href="${detailUrl}" class="project-card__btn project-card__btn--secondary">
+                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <circle cx="12" cy="12" r="10"/>
+                            <line x1="12" y1="16" x2="12" y2="12"/>
+                            <line x1="12" y1="8" x2="12.01" y2="8"/>
+                        </svg>
+                        ${I18n.t('projects.details')}
+                    </a>
+                </div>
+            </article>
+        `;
+    },
+};
+
+// ============================================
+// Activity Section with Contributor and Repo Filters
+// ============================================
+const ActivitySection = {
+    init() {
+        this.initFilter(elements.contributorFilter, state.selectedContributors);
+        this.initFilter(elements.repoFilter, state.selectedRepos);
+
+        elements.activityStatus.addEventListener('click', (e) => {
+            if (e.target.closest('[data-retry-stats]')) this.retryStats();
+        });
+
+        elements.showBots.checked = Identity.showBots;
+        elements.showBots.addEventListener('change', (e) => {
+            Identity.setShowBots(e.target.checked);
+            this.rebuild();
+            ContributorsSection.render({ animate: false });
+        });
+
+        // Close an open filter menu when clicking anywhere else
+        document.addEventListener('click', (e) => {
+            [elements.contributorFilter, elements.repoFilter].forEach(filter => {
+                if (filter.open && !filter.contains(e.target)) filter.open = false;
+            });
+        });
+
+        elements.activityRange.addEventListener('change', (e) => {
+            const value = e.target.value;
+            if (value === 'last12' || value === 'custom') {
+                this.setRange({ mode: value });
+            } else {
+                this.setRange({ mode: 'year', year: Number(value) });
+            }
+        });
+
+        const setCustom = () => {
+            if (elements.activityStart.value && elements.activityEnd.value) {
+                this.setRange({
+                    mode: 'custom',
+                    start: elements.activityStart.value,
+                    end: elements.activityEnd.value,
+                });
+            }
+        };
+        elements.activityStart.addEventListener('change', setCustom);
+        elements.activityEnd.addEventListener('change', setCustom);
+
+        elements.activityPrev.addEventListener('click', () => this.stepRange(-1));
+        elements.activityNext.addEventListener('click', () => this.stepRange(1));
+
+        HeatmapGrid.attach(elements.activityGraph, { onSelect: ({ week }) => this.showWeek(week) });
+        elements.activityWeek.addEventListener('click', (e) => {
+            if (e.target.closest('[data-week-close]')) this.showWeek(null);
+        });
+
+        DataEvents.on('stats', ({ repo, data }) => {
+            if (!Array.isArray(data)) return;
+            state.repoStats.set(repo, data);
+            this.scheduleRebuild();
+        });
+
+        DataEvents.on('daily', ({ repo, data }) => {
+            if (!Array.isArray(data)) return;
+            this.setDaily(repo, data);
+            this.scheduleRebuild();
+        });
+
+        DataEvents.on('locale', () => {
+            this.renderFilters();
+            this.render();
+            this.renderStatus();
+            this.renderProgress(this.loaded);
+        });
+    },
+
+    // Bumped on every load() so late results from a previous load are dropped
+    generation: 0,
+
+    // Repos whose stats have arrived in the current load()
+    loaded: 0,
+
+    // Heatmap window - mode is 'last12', 'year' or 'custom' (ISO date strings)
+    range: { mode: 'last12', year: null, start: null, end: null },
+
+    // Week start (date string) picked in the heatmap, or null
+    selectedWeek: null,
+
+    /**
+     * With `topUp`, the activity already on screen (from the snapshot) stays
+     * put while live stats are fetched, and is swapped in once at the end.
+     */
+    async load({ topUp = false } = {}) {
+        const generation = ++this.generation;
+        state.computingRepos = new Set();
+        state.unavailableRepos = new Set();
+
+        if (!topUp) {
+            state.repoStats = new Map();
+            state.contributorActivity = new Map();
+            state.allActivity = new Map();
+            state.activityIndex = new Map();
+            state.dailyActivity = new Map();
+            state.botActivity = new Map();
+            state.stats.commits = 0;
+
+            // Show loading state
+            elements.activityGraph.innerHTML = html`
+                <div class="activity__loader">
+                    <div class="activity__loader-spinner"></div>
+                    <span>${I18n.t('activity.loadingContributors')}</span>
+                </div>
+            `;
+        }
+
+        state.isLoading = true;
+        this.loaded = 0;
+        this.renderProgress(this.loaded);
+
+        // Fetch contributor stats for all repos in parallel, rendering as each arrives
+        await Promise.all(state.repos.map(repo => RequestScheduler.run(async () => {
+            const contributorStats = await GitHubAPI.getContributorsWithStats(repo.full_name);
+            if (generation !== this.generation) return;
+
+            // GitHub is still computing this repo - keep polling without blocking the rest
+            if (contributorStats === null) {
+                this.awaitStats(repo.full_name);
+            } else {
+                // A failed (empty) live response keeps the snapshot's stats
+                const keepSnapshot = topUp && contributorStats.length === 0 && state.repoStats.has(repo.full_name);
+                if (!keepSnapshot) state.repoStats.set(repo.full_name, contributorStats);
+                if (!topUp) this.mergeStats(contributorStats, repo.full_name);
+            }
+
+            // Per-day counts for the same repo; a failed (empty) response keeps what we had
+            const commitActivity = await GitHubAPI.getCommitActivity(repo.full_name);
+            if (generation !== this.generation) return;
+            if (commitActivity === null) {
+                this.awaitDaily(repo.full_name);
+            } else {
+                this.setDaily(repo.full_name, commitActivity);
+            }
+
+            this.renderProgress(++this.loaded);
+            if (!topUp) this.scheduleRefresh();
+        })));
+
+        if (generation !== this.generation) return;
+
+        state.isLoading = false;
+        this.renderProgress(this.loaded);
+
+        if (topUp) {
+            // Drop repos that disappeared since the snapshot was taken
+            const names = new Set(state.repos.map(repo => repo.full_name));
+            [...state.repoStats.keys()]
+                .filter(name => !names.has(name))
+                .forEach(name => state.repoStats.delete(name));
+            [...state.dailyActivity.keys()]
+                .filter(name => !names.has(name))
+                .forEach(name => state.dailyActivity.delete(name));
+
+            this.rebuild();
+            this.announceUpdate();
+        } else {
+            this.refresh();
+        }
+    },
+
+    applySnapshot(stats, daily = {}) {
+        // The snapshot has every repo - only those still listed after curation count
+        const listed = new Set(state.repos.map(repo => repo.full_name));
+        state.repoStats = new Map(Object.entries(stats).filter(([repo]) => listed.has(repo)));
+        state.dailyActivity = new Map();
+        Object.entries(daily)
+            .filter(([repo]) => listed.has(repo))
+            .forEach(([repo, weeks]) => this.setDaily(repo, weeks));
+        this.rebuild();
+    },
+
+    scheduleRefresh() {
+        // Coalesce bursts of finished repos into one render per frame
+        if (this.refreshFrame) return;
+        this.refreshFrame = requestAnimationFrame(() => {
+            this.refreshFrame = null;
+            this.refresh();
+        });
+    },
+
+    scheduleRebuild() {
+        // Several repos usually finish refreshing together - rebuild once
+        clearTimeout(this.rebuildTimer);
+        this.rebuildTimer = setTimeout(() => {
+            this.rebuild();
+            this.announceUpdate();
+        }, 250);
+    },
+
+    /**
+     * Recomputes every activity map from the per-repo stats (after some of
+     * them were replaced) and re-renders in place.
+     */
+    rebuild() {
+        state.contributorActivity = new Map();
+        state.allActivity = new Map();
+        state.activityIndex = new Map();
+        state.botActivity = new Map();
+        state.stats.commits = 0;
+        state.repoStats.forEach((stats, repo) => this.mergeStats(stats, repo));
+
+        this.refresh();
+    },
+
+    announceUpdate() {
+        UpdateNote.show(elements.activityHeader);
+        DataEvents.emit('activity');
+    },
+
+    renderProgress(loaded) {
+        const total = state.repos.length;
+        elements.activityProgress.hidden = !state.isLoading || total === 0;
+        elements.activityProgress.textContent = I18n.t('activity.progress', {
+            loaded: I18n.number(loaded),
+            count: total,
+        });
+    },
+
+    async awaitStats(repo) {
+        const generation = this.generation;
+        state.unavailableRepos.delete(repo);
+        state.computingRepos.add(repo);
+        this.renderStatus();
+
+        const contributorStats = await StatsPoller.poll(repo);
+        if (generation !== this.generation) return;
+
+        state.computingRepos.delete(repo);
+        if (contributorStats) {
+            state.repoStats.set(repo, contributorStats);
+            this.rebuild();
+            ContributorsSection.render();
+        } else {
+            // Still nothing - say so next to the totals rather than count the repo as empty
+            state.unavailableRepos.add(repo);
+            this.renderStatus();
+        }
+    },
+
+    retryStats() {
+        [...state.unavailableRepos].forEach(repo => this.awaitStats(repo));
+    },
+
+    // Until a repo's per-day counts arrive the heatmap stays in weekly columns
+    async awaitDaily(repo) {
+        const generation = this.generation;
+        const weeks = await StatsPoller.poll(repo, (name, force) => GitHubAPI.getCommitActivity(name, force));
+        if (generation !== this.generation || !weeks) return;
+
+        this.setDaily(repo, weeks);
+        this.render();
+    },
+
+    /**
+     * Keeps a repo's stats/commit_activity response as date -> commits, with
+     * the first day it covers. Empty responses (failed requests, or repos
+     * without commits) are not stored - see getDailyActivity().
+     */
+    setDaily(repo, weeks) {
+        if (!Array.isArray(weeks) || weeks.length === 0) return;
+
+        const days = new Map();
+        weeks.forEach(({ week, days: counts }) => {
+            counts?.forEach((count, d) => {
+                if (count > 0) days.set(this.dateKey(new Date((week + d * 86400) * 1000)), count);
+            });
+        });
+        state.dailyActivity.set(repo, { start: this.dateKey(new Date(weeks[0].week * 1000)), days });
+    },
+
+    /**
+     * Folds one repo's stats/contributors response into the activity maps,
+     * keeping each contributor's per-repo commits and line counts for
+     * ContributorProfile.
+     */
+    mergeStats(contributorStats, repo) {
+        if (!Array.isArray(contributorStats)) return;
+
+        if (!state.activityIndex.has(repo)) state.activityIndex.set(repo, new Map());
+        const repoIndex = state.activityIndex.get(repo);
+
+        contributorStats.forEach(stat => {
+            if (!stat.author || !stat.author.login) return;
+
+            const login = Identity.resolve(stat.author);
+            if (!login) {
+                this.noteBotActivity(stat, repo);
+                return;
+            }
+            const avatar = stat.author.avatar_url;
+            
+            if (!state.contributorActivity.has(login)) {
+                state.contributorActivity.set(login, {
+                    login,
+                    avatar_url: avatar,
+                    contributions: 0,
+                    additions: 0,
+                    deletions: 0,
+                    firstWeek: null,
+                    lastWeek: null,
+                    activity: new Map(),
+                    repos: new Map(),
+                });
+            }
+            
+            const contributor = state.contributorActivity.get(login);
+            // An alias may have come first; the canonical login's own avatar wins
+            if (stat.author.login === login) contributor.avatar_url = avatar;
+            const weekIndex = repoIndex.get(login) || new Map();
+            const repoTotals = {
+                repo,
+                commits: 0,
+                additions: 0,
+                deletions: 0,
+                firstWeek: null,
+                lastWeek: null,
+            };
+            
+            if (stat.weeks && Array.isArray(stat.weeks)) {
+                stat.weeks.forEach(week => {
+                    if (week.w && week.c > 0) {
+                        repoTotals.commits += week.c;
+                        repoTotals.additions += week.a || 0;
+                        repoTotals.deletions += week.d || 0;
+                        repoTotals.firstWeek = Math.min(repoTotals.firstWeek ?? week.w, week.w);
+                        repoTotals.lastWeek = Math.max(repoTotals.lastWeek ?? week.w, week.w);
+
+                        const date = new Date(week.w * 1000);
+                        const dateStr = date.toISOString().split('T')[0];
+                        
+                        const currentContrib = contributor.activity.get(dateStr) || 0;
+                        contributor.activity.set(dateStr, currentContrib + week.c);
+                        weekIndex.set(dateStr, (weekIndex.get(dateStr) || 0) + week.c);
+                        
+                        const currentAll = state.allActivity.get(dateStr) || 0;
+                        state.allActivity.set(dateStr, currentAll + week.c);
+                        
+                        contributor.contributions += week.c;
+                        state.stats.commits += week.c;
+                    }
+                });
+            }
+
+            if (repoTotals.commits > 0) {
+                repoIndex.set(login, weekIndex);
+                // Aliases bring a second set of stats for the same person and repo
+                const known = contributor.repos.get(repo);
+                contributor.repos.set(repo, known ? {
+                    repo,
+                    commits: known.commits + repoTotals.commits,
+                    additions: known.additions + repoTotals.additions,
+                    deletions: known.deletions + repoTotals.deletions,
+                    firstWeek: Math.min(known.firstWeek, repoTotals.firstWeek),
+                    lastWeek: Math.max(known.lastWeek, repoTotals.lastWeek),
+                } : repoTotals);
+                contributor.additions += repoTotals.additions;
+                contributor.deletions += repoTotals.deletions;
+                contributor.firstWeek = Math.min(contributor.firstWeek ?? repoTotals.firstWeek, repoTotals.firstWeek);
+                contributor.lastWeek = Math.max(contributor.lastWeek ?? repoTotals.lastWeek, repoTotals.lastWeek);
+            }
+        });
+    },
+
+    // Remembers the weeks hidden bots committed in, which per-day counts can't leave out
+    noteBotActivity(stat, repo) {
+        const weeks = (stat.weeks || []).filter(week => week.w && week.c > 0);
+        if (weeks.length === 0) return;
+
+        if (!state.botActivity.has(repo)) state.botActivity.set(repo, new Set());
+        weeks.forEach(week => state.botActivity.get(repo).add(this.dateKey(new Date(week.w * 1000))));
+    },
+
+    refresh() {
+        state.contributors = Array.from(state.contributorActivity.values())
+            .sort((a, b) => b.contributions - a.contributions);
+        state.stats.contributors = state.contributors.length;
+
+        this.renderFilters();
+        this.render();
+        this.renderStatus();
+        StatsDisplay.update();
+    },
+
+    /**
+     * A filter is a <details> menu of checkboxes backed by one of the
+     * state.selected* sets; ticking or clearing re-renders the graph.
+     */
+    initFilter(filter, selected) {
+        filter.addEventListener('change', (e) => {
+            if (e.target.type !== 'checkbox') return;
+            if (e.target.checked) {
+                selected.add(e.target.value);
+            } else {
+                selected.delete(e.target.value);
+            }
+            this.onFilterChange();
+        });
+
+        filter.addEventListener('click', (e) => {
+            if (!e.target.closest('[data-filter-clear]')) return;
+            selected.clear();
+            this.onFilterChange();
+        });
+    },
+
+    onFilterChange() {
+        this.renderFilters();
+        this.render();
+
+        // A single contributor keeps the shareable profile route, without scrolling the page
+        const [login] = state.selectedContributors;
+        Router.replace(state.selectedContributors.size === 1 && state.selectedRepos.size === 0
+            ? `#/contributor/${encodeURIComponent(login)}`
+            : '#activity');
+    },
+
+    renderFilters() {
+        this.renderFilter(elements.contributorFilter, {
+            messages: 'activity.contributors',
+            selected: state.selectedContributors,
+            options: state.contributors.map(c => ({
+                value: c.login,
+                label: c.login,
+                count: c.contributions,
+            })),
+        });
+
+        this.renderFilter(elements.repoFilter, {
+            messages: 'activity.repos',
+            selected: state.selectedRepos,
+            options: [...state.activityIndex.keys()].sort().map(repo => ({
+                value: repo,
+                label: SiteConfig.repoLabel(repo),
+            })),
+            label: repo => SiteConfig.repoLabel(repo),
+        });
+    },
+
+    // `messages` prefixes the filter's catalog entries: .all, .count and .none
+    renderFilter(filter, { messages, selected, options, label = value => value }) {
+        // Selections whose data has not arrived yet are still listed
+        const values = new Set(options.map(o => o.value));
+        const pending = [...selected].filter(value => !values.has(value))
+            .map(value => ({ value, label: label(value) }));
+
+        const summary = selected.size === 0 ? I18n.t(`${messages}.all`)
+            : selected.size === 1 ? label([...selected][0])
+            : I18n.t(`${messages}.count`, { count: selected.size });
+
+        filter.querySelector('.activity__filter-summary').textContent = summary;
+        filter.querySelector('.activity__filter-options').innerHTML = html`
+            ${[...pending, ...options].map(o => html`
+                <label class="activity__filter-option">
+                    <input type="checkbox" value="${o.value}" ${selected.has(o.value) ? 'checked' : ''}>
+                    <span class="activity__filter-label">${o.label}</span>
+                    ${o.count !== undefined && html`<span class="activity__filter-count">${I18n.number(o.count)}</span>`}
+                </label>
+            `)}
+            ${options.length === 0 && html`<p class="activity__filter-empty">${I18n.t(`${messages}.none`)}</p>`}
+        `;
+        filter.querySelector('[data-filter-clear]').disabled = selected.size === 0;
+    },
+
+    renderStatus() {
+        const computing = [...state.computingRepos].map(repo => SiteConfig.repoLabel(repo));
+        const unavailable = [...state.unavailableRepos].map(repo => SiteConfig.repoLabel(repo));
+
+        if (computing.length === 0 && unavailable.length === 0) {
+            elements.activityStatus.hidden = true;
+            return;
+        }
+
+        elements.activityStatus.hidden = false;
+        // The spinner only belongs to repos that are still being polled
+        elements.activityStatus.classList.toggle('activity__status--stalled', computing.length === 0);
+        elements.activityStatus.innerHTML = html`
+            ${computing.length > 0 && html`<span>${computing.length === 1
+                ? I18n.t('activity.computing', { repo: computing[0] })
+                : I18n.t('activity.computingMany', { count: computing.length, repos: I18n.list(computing) })}</span>`}
+            ${unavailable.length > 0 && html`
+                <span>${I18n.t('activity.unavailable', { count: unavailable.length, repos: I18n.list(unavailable) })}</span>
+                <button class="activity__status-retry" type="button" data-retry-stats>${I18n.t('activity.retry')}</button>
+            `}
+        `;
+    },
+
+    // Narrows the graph to exactly one contributor (the #/contributor/<login> route)
+    selectContributor(login) {
+        state.selectedContributors.clear();
+        state.selectedContributors.add(Identity.canonical(login));
+        state.selectedRepos.clear();
+        this.renderFilters();
+        this.render();
+    },
+
+    getActivityData() {
+        const contributors = state.selectedContributors;
+        const repos = state.selectedRepos;
+        if (!this.hasFilters()) return state.allActivity;
+
+        const activity = new Map();
+        state.activityIndex.forEach((byLogin, repo) => {
+            if (repos.size > 0 && !repos.has(repo)) return;
+            byLogin.forEach((weeks, login) => {
+                if (contributors.size > 0 && !contributors.has(login)) return;
+                weeks.forEach((count, dateStr) => {
+                    activity.set(dateStr, (activity.get(dateStr) || 0) + count);
+                });
+            });
+        });
+        return activity;
+    },
+
+    /**
+     * Per-day commits for the current filters, or null when they need more
+     * than stats/commit_activity has: it covers only the last 52 weeks and
+     * is summed over all contributors. Every repo with commits in scope has
+     * to have its per-day counts, or the days would under-count, and hidden
+     * bots must not have committed in range, or they would over-count.
+     */
+    getDailyActivity(range = this.getRange()) {
+        if (state.selectedContributors.size > 0) return null;
+
+        const from = this.dateKey(range.start);
+        const inScope = (repo) => state.selectedRepos.size === 0 || state.selectedRepos.has(repo);
+        const repos = [...state.activityIndex]
+            .filter(([repo, byLogin]) => byLogin.size > 0 && inScope(repo))
+            .map(([repo]) => state.dailyActivity.get(repo));
+        if (repos.some(daily => !daily || daily.start > from)) return null;
+
+        // Week keys are Sundays, so a week starting up to six days early still overlaps
+        const firstWeek = this.dateKey(new Date(range.start.getTime() - 6 * 86400000));
+        const to = this.dateKey(range.end);
+        const botsInRange = [...state.botActivity].filter(([repo]) => inScope(repo))
+            .some(([, weeks]) => [...weeks].some(week => week >= firstWeek && week <= to));
+        if (botsInRange) return null;
+
+        const activity = new Map();
+        repos.forEach(({ days }) => days.forEach((count, date) => {
+            activity.set(date, (activity.get(date) || 0) + count);
+        }));
+        return activity;
+    },
+
+    /**
+     * What the heatmap plots: per-day counts where GitHub has them, otherwise
+     * the weekly stats/contributors totals (keyed by each week's Sunday),
+     * drawn as one cell per week rather than passed off as single days.
+     */
+    getHeatmapData(range = this.getRange()) {
+        const daily = this.getDailyActivity(range);
+        return daily
+            ? { activity: daily, resolution: 'day' }
+            : { activity: this.getActivityData(), resolution: 'week' };
+    },
+
+    render() {
+        ContributorProfile.render();
+        this.renderRangeControls();
+
+        const range = this.getRange();
+        const { activity, resolution } = this.getHeatmapData(range);
+        const firstDay = this.firstDay(resolution);
+        const { weeks, months } = this.buildWeeks(activity, range, firstDay);
+
+        // Only the days on screen count towards the summary. Weekly totals sit on
+        // each week's Sunday, so the same count gives active weeks in that mode.
+        let totalContributions = 0;
+        let activeDays = 0;
+        weeks.flat().forEach(day => {
+            if (day.outside) return;
+            totalContributions += day.count;
+            if (day.count > 0) activeDays++;
+        });
+
+        elements.totalContributions.textContent = I18n.number(totalContributions);
+        elements.activeDays.textContent = I18n.number(activeDays);
+        elements.activeDaysLabel.textContent = I18n.t(resolution === 'day' ? 'activity.activeDays' : 'activity.activeWeeks');
+        elements.activityResolution.hidden = resolution === 'day';
+        elements.activityMonths.innerHTML = this.monthsHtml(months);
+        elements.activityDays.innerHTML = this.daysHtml(firstDay);
+
+        // Check if we have any data (a filter matching nothing still gets an empty grid)
+        const hasData = state.allActivity.size > 0;
+        
+        // Keep the spinner until the first repo with commits arrives
+        if (!hasData && state.isLoading) return;
+
+        if (!hasData) {
+            elements.activityGraph.innerHTML = html`
+                <div class="activity__loader" style="grid-column:1/-1">
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" style="width:32px;height:32px;color:var(--color-text-muted)">
+                        <rect x="3" y="4" width="18" height="18" rx="2" ry="2"/>
+                        <line x1="16" y1="2" x2="16" y2="6"/>
+                        <line x1="8" y1="2" x2="8" y2="6"/>
+                        <line x1="3" y1="10" x2="21" y2="10"/>
+                    </svg>
+                    <span>${I18n.t('activity.empty')}</span>
+                    <span style="font-size:var(--text-xs);color:var(--color-text-muted)">
+                        ${I18n.t(GitHubAPI.rateLimited ? 'activity.emptyRateLimited' : 'activity.emptyHint')}
+                    </span>
+                </div>
+            `;
+            return;
+        }
+
+        elements.activityGraph.innerHTML = this.weeksHtml(weeks, I18n.t('activity.gridLabel'), resolution);
+        HeatmapGrid.sync(elements.activityGraph);
+        this.renderWeek();
+    },
+
+    showWeek(week) {
+        this.selectedWeek = week;
+        this.renderWeek();
+    },
+
+    // Commits in one week by repo and by contributor, within the current filters
+    getWeekBreakdown(week) {
+        const contributors = state.selectedContributors;
+        const repos = state.selectedRepos;
+        const byRepo = new Map();
+        const byLogin = new Map();
+
+        state.activityIndex.forEach((logins, repo) => {
+            if (repos.size > 0 && !repos.has(repo)) return;
+            logins.forEach((weeks, login) => {
+                if (contributors.size > 0 && !contributors.has(login)) return;
+                const count = weeks.get(week) || 0;
+                if (count === 0) return;
+                byRepo.set(repo, (byRepo.get(repo) || 0) + count);
+                byLogin.set(login, (byLogin.get(login) || 0) + count);
+            });
+        });
+
+        const sorted = (map) => [...map].sort((a, b) => b[1] - a[1]);
+        return { repos: sorted(byRepo), contributors: sorted(byLogin) };
+    },
+
+    renderWeek() {
+        const panel = elements.activityWeek;
+        if (!this.selectedWeek) {
+            panel.hidden = true;
+            panel.innerHTML = '';
+            return;
+        }
+
+        const { repos, contributors } = this.getWeekBreakdown(this.selectedWeek);
+        const total = repos.reduce((sum, [, count]) => sum + count, 0);
+        const weekOf = I18n.date(`${this.selectedWeek}T00:00:00Z`, {
+            year: 'numeric', month: 'short', day: 'numeric', timeZone: 'UTC',
+        });
+
+        panel.hidden = false;
+        panel.innerHTML = html`
+            <header class="activity__week-header">
+                <h3 class="activity__week-title">
+                    ${I18n.t('activity.weekOf', { date: weekOf })}
+                    <span class="activity__week-total">${I18n.t('activity.commits', { count: total })}</span>
+                </h3>
+                <button class="settings__close" type="button" data-week-close aria-label="${I18n.t('activity.closeWeek')}">
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <path d="M18 6L6 18M6 6l12 12"/>
+                    </svg>
+                </button>
+            </header>
+            ${total === 0 ? html`
+                <p class="activity__week-empty">${I18n.t(this.hasFilters() ? 'activity.weekEmptyFiltered' : 'activity.weekEmpty')}</p>
+            ` : html`
+                <div class="activity__week-lists">
+                    ${this.weekListHtml(I18n.t('activity.repositories'), repos, repo => Router.repoHash(repo), repo => SiteConfig.repoLabel(repo))}
+                    ${this.weekListHtml(I18n.t('activity.contributorsHeading'), contributors, login => `#/contributor/${encodeURIComponent(login)}`)}
+                </div>
+            `}
+        `;
+    },
+
+    weekListHtml(title, entries, href, label = name => name) {
+        return html`
+            <section>
+                <h4 class="activity__week-heading">${title}</h4>
+                <ul class="activity__week-list">
+                    ${entries.map(([name, count]) => html`
+                        <li class="activity__week-item">
+                            <a href="${href(name)}">${label(name)}</a>
+                            <span class="activity__week-count">${I18n.number(count)}</span>
+                        </li>
+                    `)}
+                </ul>
+            </section>
+        `;
+    },
+
+    hasFilters() {
+        return state.selectedContributors.size > 0 || state.selectedRepos.size > 0;
+    },
+
+    /**
+     * The window the heatmap shows, as UTC midnights (stats weeks start on
+     * Sunday 00:00 UTC): the last 12 months, a calendar year, or custom dates.
+     */
+    getRange() {
+        const { mode, year, start, end } = this.range;
+
+        if (mode === 'year') {
+            return {
+                start: new Date(Date.UTC(year, 0, 1)),
+                end: new Date(Date.UTC(year, 11, 31)),
+            };
+        }
+
+        if (mode === 'custom' && start && end) {
+            const from = new Date(`${start}T00:00:00Z`);
+            const to = new Date(`${end}T00:00:00Z`);
+            return from <= to ? { start: from, end: to } : { start: to, end: from };
+        }
+
+        return this.lastTwelveMonths();
+    },
+
+    // This week and the 51 before it - the span stats/commit_activity has per-day counts for
+    lastTwelveMonths() {
+        const end = new Date(`${this.dateKey(new Date())}T00:00:00Z`);
+        const start = new Date(end);
+        start.setUTCDate(start.getUTCDate() - start.getUTCDay() - 51 * 7);
+        return { start, end };
+    },
+
+    dateKey(date) {
+        return date.toISOString().split('T')[0];
+    },
+
+    setRange(range) {
+        this.range = { ...this.range, ...range };
+        this.render();
+    },
+
+    // Previous/next calendar year; from the last 12 months, "previous" is last year
+    stepRange(delta) {
+        const { mode, year, start, end } = this.range;
+        const currentYear = new Date().getUTCFullYear();
+
+        if (mode === 'custom' && start && end) {
+            const shift = (value) => {
+                const date = new Date(`${value}T00:00:00Z`);
+                date.setUTCFullYear(date.getUTCFullYear() + delta);
+                return this.dateKey(date);
+            };
+            this.setRange({ start: shift(start), end: shift(end) });
+        } else if (mode === 'year') {
+            const next = year + delta;
+            if (next > currentYear) {
+                this.setRange({ mode: 'last12' });
+            } else {
+                this.setRange({ year: next });
+            }
+        } else if (delta < 0) {
+            this.setRange({ mode: 'year', year: currentYear - 1 });
+        }
+    },
+
+    getYears() {
+        const currentYear = new Date().getUTCFullYear();
+        let firstYear = currentYear;
+        state.allActivity.forEach((count, dateStr) => {
+            firstYear = Math.min(firstYear, Number(dateStr.slice(0, 4)));
+        });
+
+        const years = [];
+        for (let year = currentYear; year >= firstYear; year--) years.push(year);
+        return years;
+    },
+
+    renderRangeControls() {
+        const { mode, year, start, end } = this.range;
+        const select = elements.activityRange;
+        const years = this.getYears();
+
+        select.innerHTML = html`
+            <option value="last12">${I18n.t('activity.last12')}</option>
+            ${years.map(y => html`<option value="${y}">${y}</option>`)}
+            <option value="custom">${I18n.t('activity.custom')}</option>
+        `;
+        select.value = mode === 'year' ? String(year) : mode;
+
+        const custom = mode === 'custom';
+        elements.activityCustomRange.hidden = !custom;
+        if (custom) {
+            const range = this.getRange();
+            elements.activityStart.value = start || this.dateKey(range.start);
+            elements.activityEnd.value = end || this.dateKey(range.end);
+        }
+
+        const currentYear = new Date().getUTCFullYear();
+        elements.activityPrev.disabled = mode === 'year' && year <= years[years.length - 1];
+        elements.activityNext.disabled = mode === 'last12'
+            || (custom && Number((end || '').slice(0, 4)) >= currentYear);
+    },
+
+    // Per-day columns start on the locale's first weekday; weekly totals are Sunday-keyed
+    firstDay(resolution) {
+        return resolution === 'day' ? I18n.weekStart : 0;
+    },
+
+    /**
+     * Lays `activityData` (date string -> count) out as week columns covering
+     * `range`, starting on `firstDay` (0 = Sunday), plus a month label for
+     * each run of columns. Days padding the first and last column are marked
+     * `outside`; each day's `week` is its stats week (Sunday) either way.
+     */
+    buildWeeks(activityData, range = this.lastTwelveMonths(), firstDay = 0) {
+        const today = this.dateKey(new Date());
+        const day = new Date(range.start);
+        day.setUTCDate(day.getUTCDate() - (day.getUTCDay() - firstDay + 7) % 7);
+
+        const weeks = [];
+        const months = [];
+
+        while (day <= range.end) {
+            const week = [];
+            let labelDate = null;
+
+            for (let d = 0; d < 7; d++) {
+                const dateStr = this.dateKey(day);
+                const outside = day < range.start || day > range.end;
+                const count = outside ? 0 : activityData.get(dateStr) || 0;
+                if (!outside && !labelDate) labelDate = new Date(day);
+                const sunday = new Date(day);
+                sunday.setUTCDate(sunday.getUTCDate() - sunday.getUTCDay());
+
+                week.push({
+                    date: dateStr,
+                    count,
+                    level: this.getLevel(count),
+                    isToday: dateStr === today,
+                    outside,
+                    week: this.dateKey(sunday),
+                });
+                day.setUTCDate(day.getUTCDate() + 1);
+            }
+
+            // A column belongs to the month of its first day in range
+            const name = I18n.date(labelDate, { month: 'short', timeZone: 'UTC' });
+            const last = months[months.length - 1];
+            if (last && last.name === name) {
+                last.weeks++;
+            } else {
+                months.push({ name, weeks: 1 });
+            }
+
+            weeks.push(week);
+        }
+
+        return { weeks, months };
+    },
+
+    monthsHtml(months) {
+        // Labels too narrow for their run of columns are left blank
+        return html`${months.map(m => html`
+            <span class="activity__month" style="--weeks:${m.weeks}">${m.weeks >= 2 ? m.name : ''}</span>
+        `)}`;
+    },
+
+    // Weekday names beside the grid rows, in column order
+    daysHtml(firstDay = 0) {
+        const names = I18n.weekdays();
+        return html`${[0, 1, 2, 3, 4, 5, 6].map(d => html`<span>${names[(firstDay + d) % 7]}</span>`)}`;
+    },
+
+    /**
+     * Renders week columns as an ARIA grid. The DOM is row-major (one row per
+     * weekday) so the grid semantics match; CSS lays the cells back out in
+     * week columns. With `resolution` 'week' there is a single row of
+     * full-height week cells instead. Pair with HeatmapGrid.attach()/sync().
+     */
+    weeksHtml(weeks, label = I18n.t('activity.gridLabel'), resolution = 'day') {
+        const rows = resolution === 'week'
+            // Weekly columns start on Sunday, the day their totals are keyed by
+            ? [weeks.map(week => ({ ...week[0], span: 'week', isToday: week.some(day => day.isToday) }))]
+            : [0, 1, 2, 3, 4, 5, 6].map(d => weeks.map(week => week[d]));
+
+        return html`
+            <div class="activity__grid${resolution === 'week' ? ' activity__grid--weekly' : ''}" role="grid" aria-label="${label}" style="--weeks:${weeks.length}">
+                ${rows.map(row => html`
+                    <div class="activity__row" role="row">
+                        ${row.map(day => day.outside
+                            ? html`<div class="activity__day activity__day--outside" role="gridcell"></div>`
+                            // Kept on one line - a year of cells adds up
+                            : html`<div class="activity__day${day.isToday ? ' activity__day--today' : ''}" role="gridcell" tabindex="-1" aria-label="${HeatmapGrid.describe(day)}" data-level="${day.level}" data-date="${day.date}" data-week="${day.week}" data-count="${day.count}"></div>`)}
+                    </div>
+                `)}
+            </div>
+        `;
+    },
+
+    // date string -> commits for a single repo's stats/contributors response
+    activityFromStats(contributorStats) {
+        const activity = new Map();
+        contributorStats.forEach(stat => {
+            stat.weeks?.forEach(week => {
+                if (week.w && week.c > 0) {
+                    const dateStr = new Date(week.w * 1000).toISOString().split('T')[0];
+                    activity.set(dateStr, (activity.get(dateStr) || 0) + week.c);
+                }
+            });
+        });
+        return activity;
+    },
+
+    getLevel(count) {
+        if (count === 0) return 0;
+        if (count <= 2) return 1;
+        if (count <= 5) return 2;
+        if (count <= 10) return 3;
+        return 4;
+    },
+};
+
+// ============================================
+// Contributors Section
+// ============================================
+const ContributorsSection = {
+    init() {
+        DataEvents.on('activity', () => {
+            this.render({ animate: false });
+            UpdateNote.show(elements.contributorsHeader);
+        });
+
+        DataEvents.on('locale', () => this.render({ animate: false }));
+    },
+
+    render({ animate = true } = {}) {
+        elements.contributorsGrid.classList.toggle('no-animate', !animate);
+
+        if (state.contributors.length === 0) {
+            elements.contributorsGrid.innerHTML = html`
+                <div class="contributors__loader">
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" style="width:32px;height:32px;color:var(--color-text-muted)">
+                        <path d="M17 21v-2a4 4 0 0 0-4-4H5a4 4 0 0 0-4 4v2"/>
+                        <circle cx="9" cy="7" r="4"/>
+                        <path d="M23 21v-2a4 4 0 0 0-3-3.87"/>
+                        <path d="M16 3.13a4 4 0 0 1 0 7.75"/>
+                    </svg>
+                    <span>${I18n.t('contributors.empty')}</span>
+                </div>
+            `;
+            return;
+        }
+
+        elements.contributorsGrid.innerHTML = html`${state.contributors.slice(0, 12).map(c => html`
+            <article class="contributor-card slide-up">
+                <div class="contributor-card__avatar">
+                    <img src="${Html.url(c.avatar_url)}" alt="${c.login}" loading="lazy">
+                </div>
+                <div class="contributor-card__info">
+                    <h3 class="contributor-card__name">
+                        <a href="#/contributor/${encodeURIComponent(c.login)}" class="contributor-card__profile-link">${c.login}</a>
+                    </h3>
+                    <span class="contributor-card__username">@${c.login}</span>
+                    <div class="contributor-card__contributions">
+                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <polyline points="20 6 9 17 4 12"/>
+                        </svg>
+                        ${I18n.t('contributors.contributions', { count: c.contributions })}
+                    </div>
+                </div>
+                <a href="https://github.com/${encodeURIComponent(c.login)}" target="_blank" rel="noopener" class="contributor-card__link">
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <path d="M18 13v6a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V8a2 2 0 0 1 2-2h6"/>
+                        <polyline points="15 3 21 3 21 9"/>
+                        <line x1="10" y1="14" x2="21" y2="3"/>
+                    </svg>
+                </a>
+            </article>
+        `)}`;
+    },
+};
+
+// ============================================
+// Latest Activity Feed
+// ============================================
+/**
+ * Pushes, releases, new repos, merged PRs and issues from the owners'
+ * public events, grouped by day. Polls are forced fetches through the
+ * cache, so an unchanged feed costs a free 304; they never run faster than
+ * GitHub's X-Poll-Interval asks, and stop while the tab is hidden.
+ */
+const FeedSection = {
+    TYPES: ['push', 'release', 'repo', 'pr', 'issue'], // labels are feed.type.* in the catalog
+
+    events: new Map(), // owner login -> raw events
+    types: new Set(), // selected event types - an empty set means "all"
+    loaded: false,
+    timer: null,
+    paused: false,
+
+    init() {
+        elements.feedFilters.addEventListener('click', (e) => {
+            const chip = e.target.closest('.projects__chip');
+            if (!chip) return;
+
+            if (this.types.has(chip.dataset.type)) {
+                this.types.delete(chip.dataset.type);
+            } else {
+                this.types.add(chip.dataset.type);
+            }
+            this.render();
+        });
+
+        DataEvents.on('events', ({ owner, data }) => {
+            if (!Array.isArray(data)) return;
+            this.events.set(owner, data);
+            this.render();
+            UpdateNote.show(elements.feedHeader);
+        });
+
+        DataEvents.on('locale', () => this.render());
+
+        document.addEventListener('visibilitychange', () => {
+            if (!document.hidden && this.paused) {
+                this.paused = false;
+                this.poll();
+            }
+        });
+    },
+
+    async load() {
+        await this.refresh();
+        this.loaded = true;
+        this.render();
+        this.schedule();
+    },
+
+    async refresh(forceRefresh = false) {
+        await Promise.all(SiteConfig.owners.map(async (owner) => {
+            const events = await GitHubAPI.getEvents(owner, forceRefresh);
+            if (events) this.events.set(owner.login, events);
+        }));
+    },
+
+    async poll() {
+        // Hidden tabs don't poll; visibilitychange picks up again
+        if (document.hidden) {
+            this.paused = true;
+            return;
+        }
+
+        if (!GitHubAPI.rateLimited) {
+            const newest = this.getItems()[0]?.id;
+            await this.refresh(true);
+            if (this.getItems()[0]?.id !== newest) {
                 this.render();
+                UpdateNote.show(elements.feedHeader);
+            }
+        }
+        this.schedule();
+    },
+
+    schedule() {
+        clearTimeout(this.timer);
+        const interval = Math.max(
+            CONFIG.feed.pollInterval,
+            ...SiteConfig.owners.map(owner => GitHubAPI.getPollInterval(GitHubAPI.eventsEndpoint(owner)))
+        );
+        this.timer = setTimeout(() => this.poll(), interval);
+    },
+
+    /**
+     * Feed entries from every owner, newest first. Events that don't map to
+     * one of TYPES, or belong to repos curation.json hides, are dropped; the
+     * same event can show up under an org and a user, so ids are deduped.
+     */
+    getItems() {
+        const seen = new Set();
+        const items = [];
+
+        for (const event of [...this.events.values()].flat()) {
+            if (seen.has(event.id)) continue;
+            seen.add(event.id);
+
+            const repo = event.repo?.name;
+            if (!repo || !SiteConfig.hasOwner(repo)) continue;
+            if (!Curation.isListed({ name: repo.split('/')[1], full_name: repo })) continue;
+
+            const item = this.describe(event);
+            if (item) items.push({ ...item, id: event.id, repo, actor: event.actor, date: new Date(event.created_at) });
+        }
+
+        return items.sort((a, b) => b.date - a.date);
+    },
+
+    /**
+     * { type, message, params } for the events the feed shows: a catalog
+     * sentence whose {actor} and {repo} are filled in by render(). Payloads
+     * can be trimmed, so every detail has a fallback.
+     */
+    describe({ type, payload = {}, repo }) {
+        const github = `https://github.com/${repo.name}`;
+
+        switch (type) {
+            case 'PushEvent': {
+                const count = payload.size ?? payload.distinct_size ?? payload.commits?.length;
+                const branch = payload.ref?.replace(/^refs\/heads\//, '');
+                return {
+                    type: 'push',
+                    message: count == null ? 'feed.pushedCommits' : 'feed.pushed',
+                    params: { count, branch: branch ? html`<code>${branch}</code>` : I18n.t('feed.aBranch') },
+                };
+            }
+            case 'ReleaseEvent': {
+                if (payload.action !== 'published') return null;
+                const { tag_name: tag, name, html_url: url } = payload.release || {};
+                return {
+                    type: 'release',
+                    message: 'feed.released',
+                    params: {
+                        release: html`<a href="${Html.url(url) || `${github}/releases`}" target="_blank" rel="noopener">${name || tag || I18n.t('feed.aRelease')}</a>`,
+                    },
+                };
+            }
+            case 'CreateEvent':
+                return payload.ref_type === 'repository' ? { type: 'repo', message: 'feed.createdRepo', params: {} } : null;
+            case 'PullRequestEvent': {
+                const pr = payload.pull_request || {};
+                const merged = payload.action === 'merged' || (payload.action === 'closed' && (pr.merged || pr.merged_at));
+                if (!merged) return null;
+                const number = payload.number ?? pr.number;
+                return {
+                    type: 'pr',
+                    message: 'feed.merged',
+                    params: {
+                        pr: html`<a href="${Html.url(pr.html_url) || `${github}/pull/${number}`}" target="_blank" rel="noopener">#${number}${pr.title ? ` ${pr.title}` : ''}</a>`,
+                    },
+                };
+            }
+            case 'IssuesEvent': {
+                if (payload.action !== 'opened' && payload.action !== 'closed') return null;
+                const issue = payload.issue || {};
+                return {
+                    type: 'issue',
+                    message: payload.action === 'opened' ? 'feed.issueOpened' : 'feed.issueClosed',
+                    params: {
+                        issue: html`<a href="${Html.url(issue.html_url) || `${github}/issues/${issue.number}`}" target="_blank" rel="noopener">#${issue.number}${issue.title ? ` ${issue.title}` : ''}</a>`,
+                    },
+                };
+            }
+            default:
+                return null;
+        }
+    },
+
+    // Listed repos open their detail view; anything else goes to GitHub
+    repoLink(fullName) {
+        const label = SiteConfig.repoLabel(fullName);
+        return state.repos.some(r => r.full_name === fullName)
+            ? html`<a class="feed__repo" href="${Router.repoHash(fullName)}">${label}</a>`
+            : html`<a class="feed__repo" href="https://github.com/${fullName}" target="_blank" rel="noopener">${label}</a>`;
+    },
+
+    dayLabel(date) {
+        const today = new Date();
+        const yesterday = new Date(today.getFullYear(), today.getMonth(), today.getDate() - 1);
+        if (date.toDateString() === today.toDateString()) return I18n.t('feed.today');
+        if (date.toDateString() === yesterday.toDateString()) return I18n.t('feed.yesterday');
+        return I18n.date(date, {
+            weekday: 'long',
+            month: 'short',
+            day: 'numeric',
+            year: date.getFullYear() === today.getFullYear() ? undefined : 'numeric',
+        });
+    },
+
+    renderFilters(items) {
+        const counts = new Map();
+        items.forEach(item => counts.set(item.type, (counts.get(item.type) || 0) + 1));
+
+        elements.feedFilters.innerHTML = html`${this.TYPES.map(type => html`
+            <button class="projects__chip" type="button" data-type="${type}" aria-pressed="${String(this.types.has(type))}">
+                ${I18n.t(`feed.type.${type}`)}
+                <span class="projects__chip-count">${I18n.number(counts.get(type) || 0)}</span>
+            </button>
+        `)}`;
+    },
+
+    render() {
+        if (!this.loaded) return;
+
+        const items = this.getItems();
+        this.renderFilters(items);
+
+        const shown = items
+            .filter(item => this.types.size === 0 || this.types.has(item.type))
+            .slice(0, CONFIG.feed.maxItems);
+
+        if (shown.length === 0) {
+            elements.feedList.innerHTML = html`
+                <div class="feed__empty">
+                    ${I18n.t(items.length > 0 ? 'feed.emptyFiltered'
+                        : GitHubAPI.rateLimited ? 'feed.rateLimited'
+                        : 'feed.empty')}
+                </div>
+            `;
+            return;
+        }
+
+        const days = new Map();
+        shown.forEach(item => {
+            const day = item.date.toDateString();
+            if (!days.has(day)) days.set(day, []);
+            days.get(day).push(item);
+        });
+
+        elements.feedList.innerHTML = html`${[...days.values()].map(dayItems => html`
+            <section class="feed__day">
+                <h3 class="feed__day-title">${this.dayLabel(dayItems[0].date)}</h3>
+                <ol class="feed__items">
+                    ${dayItems.map(item => html`
+                        <li class="feed__item feed__item--${item.type}">
+                            <img class="feed__avatar" src="${Html.url(item.actor?.avatar_url)}" alt="" width="32" height="32" loading="lazy">
+                            <p class="feed__text">
+                                ${I18n.html(item.message, {
+                                    ...item.params,
+                                    actor: html`<a class="feed__actor" href="https://github.com/${encodeURIComponent(item.actor?.login || '')}" target="_blank" rel="noopener">${item.actor?.display_login || item.actor?.login}</a>`,
+                                    repo: this.repoLink(item.repo),
+                                })}
+                            </p>
+                            <time class="feed__time" datetime="${item.date.toISOString()}">
+                                ${I18n.date(item.date, { hour: 'numeric', minute: '2-digit' })}
+                            </time>
+                        </li>
+                    `)}
+                </ol>
+            </section>
+        `)}`;
+    },
+};
+
+// ============================================
+// Heatmap Grid (keyboard navigation & tooltip)
+// ============================================
+/**
+ * Heatmaps are rendered by ActivitySection.weeksHtml() as an ARIA grid of
+ * weekday rows. attach() wires one container up for roving-tabindex arrow
+ * key movement, the shared hover/focus tooltip and (optionally) selecting a
+ * cell; sync() must run after each re-render to restore the focusable cell.
+ */
+const HeatmapGrid = {
+    tooltip: null,
+
+    DATE_FORMAT: { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' },
+
+    init() {
+        this.tooltip = document.createElement('div');
+        this.tooltip.className = 'activity__tooltip';
+        this.tooltip.setAttribute('aria-hidden', 'true');
+        this.tooltip.hidden = true;
+        document.body.appendChild(this.tooltip);
+
+        window.addEventListener('scroll', () => this.hideTooltip(), { passive: true });
+    },
+
+    // `span: 'week'` cells hold a whole week's total (see ActivitySection.weeksHtml)
+    describe(day) {
+        const date = I18n.date(`${day.date}T00:00:00Z`, this.DATE_FORMAT);
+        return I18n.t(day.span === 'week' ? 'heatmap.week' : 'heatmap.day', { count: day.count, date });
+    },
+
+    attach(container, { onSelect = null } = {}) {
+        container.addEventListener('keydown', (e) => {
+            const cell = this.cellFrom(e.target);
+            if (cell) this.onKeydown(e, cell, onSelect);
+        });
+
+        container.addEventListener('focusin', (e) => {
+            const cell = this.cellFrom(e.target);
+            if (!cell) return;
+            this.activate(container, cell);
+            this.showTooltip(cell);
+        });
+        container.addEventListener('focusout', () => this.hideTooltip());
+
+        container.addEventListener('mouseover', (e) => {
+            const cell = this.cellFrom(e.target);
+            if (cell) this.showTooltip(cell);
+        });
+        container.addEventListener('mouseout', (e) => {
+            if (!this.cellFrom(e.relatedTarget)) this.hideTooltip();
+        });
+
+        container.addEventListener('click', (e) => {
+            const cell = this.cellFrom(e.target);
+            if (!cell) return;
+            cell.focus();
+            onSelect?.(cell.dataset);
+        });
+    },
+
+    cellFrom(target) {
+        return target?.closest?.('[role="gridcell"][data-date]') || null;
+    },
+
+    // One cell is tabbable: the last one used, else today, else the last day shown
+    sync(container) {
+        const cells = [...container.querySelectorAll('[role="gridcell"][data-date]')];
+        if (cells.length === 0) return;
+
+        const byDate = (date) => cells.find(cell => cell.dataset.date === date);
+        const active = byDate(container.dataset.activeDate)
+            || cells.find(cell => cell.classList.contains('activity__day--today'))
+            || cells.reduce((last, cell) => cell.dataset.date > last.dataset.date ? cell : last);
+        active.tabIndex = 0;
+    },
+
+    activate(container, cell) {
+        container.querySelectorAll('[role="gridcell"][tabindex="0"]').forEach(other => {
+            if (other !== cell) other.tabIndex = -1;
+        });
+        cell.tabIndex = 0;
+        container.dataset.activeDate = cell.dataset.date;
+    },
+
+    onKeydown(e, cell, onSelect) {
+        const moves = {
+            ArrowUp: [-1, 0],
+            ArrowDown: [1, 0],
+            ArrowLeft: [0, -1],
+            ArrowRight: [0, 1],
+        };
+
+        let target = null;
+        if (moves[e.key]) {
+            target = this.step(cell, ...moves[e.key]);
+        } else if (e.key === 'Home' || e.key === 'End') {
+            // Home/End move along the weekday row, with Ctrl across the whole grid
+            const scope = e.ctrlKey ? cell.closest('[role="grid"]') : cell.parentElement;
+            const cells = [...scope.querySelectorAll('[role="gridcell"][data-date]')]
+                .sort((a, b) => a.dataset.date.localeCompare(b.dataset.date));
+            target = e.key === 'Home' ? cells[0] : cells[cells.length - 1];
+        } else if ((e.key === 'Enter' || e.key === ' ') && onSelect) {
+            e.preventDefault();
+            onSelect(cell.dataset);
+            return;
+        } else {
+            return;
+        }
+
+        e.preventDefault();
+        target?.focus();
+    },
+
+    // Next in-range cell from `cell` by whole rows (days) or columns (weeks)
+    step(cell, rowDelta, columnDelta) {
+        const row = cell.parentElement;
+        const rows = [...row.parentElement.children];
+        let r = rows.indexOf(row);
+        let c = [...row.children].indexOf(cell);
+
+        for (;;) {
+            r += rowDelta;
+            c += columnDelta;
+            const next = rows[r]?.children[c];
+            if (!next) return null;
+            if (next.dataset.date) return next;
+        }
+    },
+
+    showTooltip(cell) {
+        // Modal dialogs sit in the top layer - the tooltip has to live inside them
+        const host = cell.closest('dialog') || document.body;
+        if (this.tooltip.parentElement !== host) host.appendChild(this.tooltip);
+
+        const rect = cell.getBoundingClientRect();
+        this.tooltip.textContent = cell.getAttribute('aria-label');
+        this.tooltip.hidden = false;
+        this.tooltip.style.left = `${rect.left + rect.width / 2}px`;
+        this.tooltip.style.top = `${rect.top}px`;
+    },
+
+    hideTooltip() {
+        if (this.tooltip) this.tooltip.hidden = true;
+    },
+};
+
+// ============================================
+// Contributor Profile (selected contributor)
+// ============================================
+const ContributorProfile = {
+    render() {
+        const panel = elements.contributorProfile;
+        // Shown while exactly one contributor is selected
+        const [login] = state.selectedContributors;
+
+        if (state.selectedContributors.size !== 1) {
+            panel.hidden = true;
+            panel.innerHTML = '';
+            return;
+        }
+
+        panel.hidden = false;
+        const contributor = state.contributorActivity.get(login);
+
+        if (!contributor) {
+            panel.innerHTML = html`
+                <p class="contributor-profile__empty">
+                    ${I18n.t(state.isLoading ? 'profile.loading' : 'profile.empty', { login })}
+                </p>
+            `;
+            return;
+        }
+
+        const repos = [...contributor.repos.values()].sort((a, b) => b.commits - a.commits);
+
+        panel.innerHTML = html`
+            <header class="contributor-profile__header">
+                <img class="contributor-profile__avatar" src="${Html.url(contributor.avatar_url)}" alt="" loading="lazy">
+                <div class="contributor-profile__identity">
+                    <h3 class="contributor-profile__name">${contributor.login}</h3>
+                    <a class="contributor-profile__link" href="https://github.com/${encodeURIComponent(contributor.login)}" target="_blank" rel="noopener">
+                        ${I18n.t('profile.onGitHub', { login: contributor.login })}
+                    </a>
+                </div>
+                <dl class="contributor-profile__totals">
+                    ${this.totalHtml(I18n.t('profile.commits'), I18n.number(contributor.contributions))}
+                    ${this.totalHtml(I18n.t('profile.added'), `+${I18n.number(contributor.additions)}`, 'added')}
+                    ${this.totalHtml(I18n.t('profile.deleted'), `−${I18n.number(contributor.deletions)}`, 'deleted')}
+                    ${this.totalHtml(I18n.t('profile.firstWeek'), this.formatWeek(contributor.firstWeek))}
+                    ${this.totalHtml(I18n.t('profile.lastWeek'), this.formatWeek(contributor.lastWeek))}
+                </dl>
+            </header>
+            <div class="contributor-profile__table-wrapper">
+                <table class="contributor-profile__repos">
+                    <thead>
+                        <tr>
+                            <th scope="col">${I18n.t('profile.repository')}</th>
+                            <th scope="col">${I18n.t('profile.commits')}</th>
+                            <th scope="col">${I18n.t('profile.added')}</th>
+                            <th scope="col">${I18n.t('profile.deleted')}</th>
+                            <th scope="col">${I18n.t('profile.activeWeeks')}</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${repos.map(r => html`
+                            <tr>
+                                <th scope="row">
+                                    <a href="${Router.repoHash(r.repo)}">${SiteConfig.repoLabel(r.repo)}</a>
+                                </th>
+                                <td>${I18n.number(r.commits)}</td>
+                                <td class="contributor-profile__added">+${I18n.number(r.additions)}</td>
+                                <td class="contributor-profile__deleted">−${I18n.number(r.deletions)}</td>
+                                <td>${this.formatWeek(r.firstWeek)} – ${this.formatWeek(r.lastWeek)}</td>
+                            </tr>
+                        `)}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    },
+
+    totalHtml(label, value, modifier = null) {
+        return html`
+            <div class="contributor-profile__total">
+                <dt>${label}</dt>
+                <dd class="${modifier ? `contributor-profile__${modifier}` : ''}">${value}</dd>
+            </div>
+        `;
+    },
+
+    // Stats weeks are unix timestamps of the week's first day
+    formatWeek(timestamp) {
+        if (!timestamp) return '—';
+        return I18n.date(timestamp * 1000, { year: 'numeric', month: 'short', day: 'numeric', timeZone: 'UTC' });
+    },
+};
+
+// ============================================
+// Data & Image Export
+// ============================================
+const Exporter = {
+    init() {
+        document.addEventListener('click', (e) => {
+            document.querySelectorAll('.export-menu[open]').forEach(menu => {
+                if (!menu.contains(e.target)) menu.open = false;
+            });
+
+            const item = e.target.closest('[data-export]');
+            if (!item) return;
+            item.closest('details').open = false;
+            this.run(item.dataset.export);
+        });
+    },
+
+    async run(type) {
+        const stamp = ActivitySection.dateKey(new Date());
+        const owners = SiteConfig.owners.map(owner => owner.login.toLowerCase()).join('-');
+        const name = (kind, ext) => `${owners}-${kind}-${stamp}.${ext}`;
+
+        try {
+            switch (type) {
+                case 'activity-csv':
+                    // Weekly rows are dated by the week's Sunday
+                    this.download(name('activity', 'csv'), this.toCsv(
+                        [ActivitySection.getHeatmapData().resolution === 'day' ? 'date' : 'week', 'commits'],
+                        this.getActivityRows().map(row => [row.date, row.commits])
+                    ), 'text/csv');
+                    break;
+                case 'activity-json':
+                    this.download(name('activity', 'json'), JSON.stringify({
+                        ...this.getActivityMeta(),
+                        activity: this.getActivityRows(),
+                    }, null, 2), 'application/json');
+                    break;
+                case 'activity-svg':
+                    this.download(name('activity', 'svg'), this.heatmapSvg(), 'image/svg+xml');
+                    break;
+                case 'activity-png':
+                    this.download(name('activity', 'png'), await this.toPng(this.heatmapSvg()), 'image/png');
+                    break;
+                case 'contributors-csv':
+                    this.download(name('contributors', 'csv'), this.toCsv(
+                        ['login', 'commits', 'additions', 'deletions', 'repos', 'first_week', 'last_week'],
+                        this.getContributorRows().map(c => [
+                            c.login, c.commits, c.additions, c.deletions,
+                            c.repos.map(r => r.repo).join(' '), c.firstWeek, c.lastWeek,
+                        ])
+                    ), 'text/csv');
+                    break;
+                case 'contributors-json':
+                    this.download(name('contributors', 'json'), JSON.stringify({
+                        owners: SiteConfig.owners.map(owner => owner.login),
+                        exportedAt: new Date().toISOString(),
+                        contributors: this.getContributorRows(),
+                    }, null, 2), 'application/json');
+                    break;
+                default:
+                    console.warn(`[Export] Unknown export type: ${type}`);
+            }
+        } catch (error) {
+            console.error(`[Export] ${type} failed: ${error.message}`);
+        }
+    },
+
+    // What the heatmap currently shows: filters and range applied
+    getActivityRows() {
+        const { start, end } = ActivitySection.getRange();
+        const from = ActivitySection.dateKey(start);
+        const to = ActivitySection.dateKey(end);
+
+        return [...ActivitySection.getHeatmapData().activity]
+            .filter(([date, commits]) => commits > 0 && date >= from && date <= to)
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([date, commits]) => ({ date, commits }));
+    },
+
+    getActivityMeta() {
+        const { start, end } = ActivitySection.getRange();
+        return {
+            owners: SiteConfig.owners.map(owner => owner.login),
+            exportedAt: new Date().toISOString(),
+            range: { start: ActivitySection.dateKey(start), end: ActivitySection.dateKey(end) },
+            resolution: ActivitySection.getHeatmapData().resolution,
+            contributors: [...state.selectedContributors],
+            repos: [...state.selectedRepos],
+        };
+    },
+
+    getContributorRows() {
+        const weekDate = (w) => w ? ActivitySection.dateKey(new Date(w * 1000)) : null;
+        return state.contributors.map(c => ({
+            login: c.login,
+            commits: c.contributions,
+            additions: c.additions,
+            deletions: c.deletions,
+            firstWeek: weekDate(c.firstWeek),
+            lastWeek: weekDate(c.lastWeek),
+            repos: [...c.repos.values()].map(r => ({
+                repo: r.repo,
+                commits: r.commits,
+                additions: r.additions,
+                deletions: r.deletions,
+                firstWeek: weekDate(r.firstWeek),
+                lastWeek: weekDate(r.lastWeek),
+            })),
+        }));
+    },
+
+    toCsv(header, rows) {
+        const cell = (value) => {
+            let text = value === null || value === undefined ? '' : String(value);
+            // Keep spreadsheets from evaluating API strings as formulas
+            if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        return [header, ...rows].map(row => row.map(cell).join(',')).join('\r\n') + '\r\n';
+    },
+
+    /**
+     * The heatmap as it is on screen (filters, range and the current theme's
+     * colors), as a standalone SVG document.
+     */
+    heatmapSvg() {
+        const range = ActivitySection.getRange();
+        const { activity, resolution } = ActivitySection.getHeatmapData(range);
+        const firstDay = ActivitySection.firstDay(resolution);
+        const { weeks, months } = ActivitySection.buildWeeks(activity, range, firstDay);
+        const styles = getComputedStyle(document.documentElement);
+        const color = (name) => styles.getPropertyValue(name).trim();
+        const font = color('--font-sans') || 'sans-serif';
+
+        const cell = 11;
+        const step = 14;
+        const left = 32;
+        const top = 48;
+        const width = left + weeks.length * step + 16;
+        const height = top + 7 * step + 40;
+
+        let total = 0;
+        weeks.flat().forEach(day => { total += day.count; });
+
+        const dateOptions = { year: 'numeric', month: 'short', day: 'numeric', timeZone: 'UTC' };
+        const title = I18n.t(EmbedMode.WIDGETS.heatmap, { owners: SiteConfig.label });
+        const subtitle = [
+            `${I18n.date(range.start, dateOptions)} – ${I18n.date(range.end, dateOptions)}`,
+            state.selectedContributors.size > 0 && I18n.list([...state.selectedContributors]),
+            state.selectedRepos.size > 0 && I18n.list([...state.selectedRepos]),
+            I18n.t('contributors.contributions', { count: total }),
+        ].filter(Boolean).join(' · ');
+
+        let column = 0;
+        const monthLabels = months.map(m => {
+            const x = left + column * step;
+            column += m.weeks;
+            return m.weeks >= 2 ? html`<text x="${x}" y="${top - 6}">${m.name}</text>` : '';
+        });
+
+        // Monday, Wednesday and Friday, wherever the week starts
+        const weekdays = I18n.weekdays();
+        const dayLabels = resolution === 'week' ? [] : [0, 1, 2, 3, 4, 5, 6]
+            .filter(row => [1, 3, 5].includes((firstDay + row) % 7))
+            .map(row => html`<text x="0" y="${top + row * step + cell - 1}">${weekdays[(firstDay + row) % 7]}</text>`);
+
+        // Weekly totals (keyed by Sunday) fill their whole column, as on screen
+        const columns = resolution === 'week'
+            ? weeks.map(week => [{ ...week[0], span: 'week' }])
+            : weeks;
+        const cellHeight = resolution === 'week' ? 6 * step + cell : cell;
+        const cells = columns.map((week, w) => week.map((day, d) => day.outside ? '' : html`
+            <rect x="${left + w * step}" y="${top + d * step}" width="${cell}" height="${cellHeight}" rx="2" fill="${color(`--color-contrib-${day.level}`)}"><title>${HeatmapGrid.describe(day)}</title></rect>`));
+
+        return String(html`<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="${font}" font-size="10">
+    <rect width="100%" height="100%" fill="${color('--color-bg-secondary')}"/>
+    <text x="0" y="16" font-size="14" font-weight="600" fill="${color('--color-text-primary')}">${title}</text>
+    <text x="0" y="30" fill="${color('--color-text-tertiary')}">${subtitle}</text>
+    <g fill="${color('--color-text-tertiary')}">${monthLabels}${dayLabels}</g>
+    <g>${cells}</g>
+</svg>
+`);
+    },
+
+    toPng(svg, scale = 2) {
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }));
+            const image = new Image();
+
+            image.onload = () => {
+                const canvas = document.createElement('canvas');
+                canvas.width = image.width * scale;
+                canvas.height = image.height * scale;
+                const context = canvas.getContext('2d');
+                context.scale(scale, scale);
+                context.drawImage(image, 0, 0);
+                URL.revokeObjectURL(url);
+                canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Canvas is empty')), 'image/png');
+            };
+            image.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('Could not render SVG'));
+            };
+            image.src = url;
+        });
+    },
+
+    download(filename, content, type) {
+        const blob = content instanceof Blob ? content : new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    },
+};
+
+// ============================================
+// Stats Animation
+// ============================================
+const StatsDisplay = {
+    frames: new Map(),
+
+    init() {
+        // Counters that have finished animating are re-formatted in place
+        DataEvents.on('locale', () => {
+            elements.heroStats.querySelectorAll('.hero__stat-value').forEach(stat => {
+                if (stat.dataset.count && !this.frames.has(stat)) {
+                    stat.textContent = I18n.number(Number(stat.dataset.count));
+                }
             });
         });
     },
 
-    async load() {
-        state.repos = await GitHubAPI.getRepos();
-        state.stats.repos = state.repos.length;
-        this.render();
-        StatsDisplay.update();
+    update() {
+        const stats = elements.heroStats.querySelectorAll('.hero__stat-value');
+        const values = [state.stats.repos, state.stats.contributors, state.stats.commits];
+        
+        stats.forEach((stat, i) => {
+            const end = values[i] || 0;
+            // Progressive loads call update() repeatedly - count on from the last target
+            const start = Number(stat.dataset.count) || 0;
+            if (start === end && this.frames.has(stat)) return;
+
+            stat.dataset.count = end;
+            this.animateValue(stat, start, end, 1000);
+        });
     },
 
-    getFilteredRepos() {
-        let repos = [...state.repos];
-        switch (this.filter) {
-            case 'featured':
-                repos = repos.filter(r => r.stargazers_count > 0 || r.forks_count > 0);
-                break;
-            case 'recent':
-                repos = repos.slice(0, 6);
-                break;
+    animateValue(element, start, end, duration) {
+        const startTime = performance.now();
+        cancelAnimationFrame(this.frames.get(element));
+        
+        const animate = (currentTime) => {
+            const elapsed = currentTime - startTime;
+            const progress = Math.min(elapsed / duration, 1);
+            const eased = 1 - Math.pow(1 - progress, 3);
+            element.textContent = I18n.number(Math.floor(start + (end - start) * eased));
+            
+            if (progress < 1) {
+                this.frames.set(element, requestAnimationFrame(animate));
+            } else {
+                this.frames.delete(element);
+            }
+        };
+        
+        this.frames.set(element, requestAnimationFrame(animate));
+    },
+};
+
+// ============================================
+// "Updated just now" Note
+// ============================================
+const UpdateNote = {
+    show(container) {
+        container.querySelector('.update-note')?.remove();
+
+        // A fresh element restarts the fade-out animation
+        const note = document.createElement('span');
+        note.className = 'update-note';
+        note.setAttribute('role', 'status');
+        note.textContent = I18n.t('update.justNow');
+        note.addEventListener('animationend', () => note.remove());
+        container.appendChild(note);
+    },
+};
+
+// ============================================
+// Rate Limit Status Indicator
+// ============================================
+const RateLimitIndicator = {
+    init() {
+        this.container = document.createElement('div');
+        this.container.className = 'rate-limit-indicator';
+        this.container.style.cssText = `
+            position: fixed;
+            bottom: 20px;
+            right: 20px;
+            padding: 8px 16px;
+            background: var(--color-bg-secondary);
+            border: 1px solid var(--color-border);
+            border-radius: var(--radius-lg);
+            font-size: var(--text-xs);
+            color: var(--color-text-secondary);
+            z-index: 1000;
+            display: none;
+            box-shadow: var(--shadow-lg);
+        `;
+
+        this.message = document.createElement('div');
+        this.quota = document.createElement('div');
+        this.quota.className = 'rate-limit-indicator__quota';
+        this.message.hidden = true;
+        this.quota.hidden = true;
+        this.container.append(this.message, this.quota);
+
+        document.body.appendChild(this.container);
+    },
+
+    show(message, type = 'warning') {
+        this.message.textContent = message;
+        this.message.hidden = false;
+        this.container.style.display = 'block';
+        
+        if (type === 'warning') {
+            this.container.style.borderColor = 'var(--color-warning)';
+        } else if (type === 'error') {
+            this.container.style.borderColor = 'var(--color-error)';
+        }
+    },
+
+    hide() {
+        this.message.hidden = true;
+        this.container.style.borderColor = 'var(--color-border)';
+        if (this.quota.hidden) {
+            this.container.style.display = 'none';
         }
-        return repos;
+    },
+
+    /**
+     * Shows the remaining request quota from GitHub's X-RateLimit-* headers.
+     * Always visible when authenticated; anonymous visitors only see it once
+     * the quota runs low.
+     */
+    updateQuota(headers) {
+        const remaining = headers.get('X-RateLimit-Remaining');
+        const limit = headers.get('X-RateLimit-Limit');
+        const reset = headers.get('X-RateLimit-Reset');
+        if (remaining === null || limit === null) return;
+
+        const resetTime = reset
+            ? I18n.date(parseInt(reset) * 1000, { hour: 'numeric', minute: '2-digit', second: '2-digit' })
+            : I18n.t('rateLimit.unknown');
+        this.quota.textContent = I18n.t(AuthManager.isAuthenticated ? 'rateLimit.quotaAuthenticated' : 'rateLimit.quotaAnonymous', {
+            remaining: I18n.number(Number(remaining)),
+            limit: I18n.number(Number(limit)),
+            time: resetTime,
+        });
+        this.quota.hidden = !AuthManager.isAuthenticated && Number(remaining) > 10;
+
+        if (!this.quota.hidden) {
+            this.container.style.display = 'block';
+        } else if (this.message.hidden) {
+            this.container.style.display = 'none';
+        }
+    },
+};
+
+// ============================================
+// Offline Support (service worker + notice)
+// ============================================
+const OfflineSupport = {
+    // Oldest timestamp of any cached data currently on screen
+    dataTime: null,
+
+    init() {
+        window.addEventListener('offline', () => this.render());
+        window.addEventListener('online', () => RateLimitIndicator.hide());
+
+        if (!('serviceWorker' in navigator)) return;
+
+        navigator.serviceWorker.register(CONFIG.serviceWorkerUrl).catch(error => {
+            console.warn('[SW] Registration failed:', error);
+        });
+    },
+
+    get isOffline() {
+        return !navigator.onLine;
+    },
+
+    noteData(timestamp) {
+        this.dataTime = Math.min(this.dataTime ?? timestamp, timestamp);
+        if (this.isOffline) this.render();
     },
 
     render() {
-        const repos = this.getFilteredRepos();
-        
-        if (repos.length === 0) {
-            elements.projectsGrid.innerHTML = `
-                <div class="projects__loader">
-                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" style="width:48px;height:48px;color:var(--color-text-muted)">
-                        <circle cx="12" cy="12" r="10"/>
-                        <path d="M12 8v4M12 16h.01"/>
-                    </svg>
-                    <p>No repositories found</p>
-                    <p style="font-size:var(--text-xs);color:var(--color-text-muted)">
-                        ${GitHubAPI.rateLimited ? 'API rate limited - showing cached data' : ''}
-                    </p>
-                </div>
-            `;
+        if (!this.isOffline) return;
+
+        const time = this.dataTime
+            ? I18n.date(this.dataTime, { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })
+            : I18n.t('offline.earlierVisit');
+        RateLimitIndicator.show(I18n.t('offline.notice', { time }), 'warning');
+    },
+};
+
+// ============================================
+// Settings Dialog (GitHub token)
+// ============================================
+const SettingsDialog = {
+    init() {
+        elements.settingsToggle.addEventListener('click', () => this.open());
+        elements.settingsForm.addEventListener('submit', (e) => this.submit(e));
+        elements.tokenClear.addEventListener('click', () => this.clearToken());
+        elements.settingsClose.addEventListener('click', () => elements.settingsDialog.close());
+    },
+
+    open() {
+        elements.tokenInput.value = '';
+        this.setStatus(this.describeAuth());
+        elements.settingsDialog.showModal();
+    },
+
+    describeAuth() {
+        if (AuthManager.source === 'settings') return I18n.t('settings.usingSaved');
+        if (AuthManager.source === 'config') return I18n.t('settings.usingConfig');
+        return I18n.t('settings.anonymous', { count: 60 });
+    },
+
+    async submit(e) {
+        e.preventDefault();
+
+        const token = elements.tokenInput.value.trim();
+        if (!token) {
+            this.setStatus(I18n.t('settings.enterToken'), 'error');
+            return;
+        }
+
+        this.setStatus(I18n.t('settings.checking'));
+        let rate;
+        try {
+            rate = await AuthManager.verify(token);
+        } catch (error) {
+            console.warn(`[Auth] Could not verify token: ${error.message}`);
+            this.setStatus(I18n.t('settings.unreachable'), 'error');
+            return;
+        }
+
+        if (!rate) {
+            this.setStatus(I18n.t('settings.rejected'), 'error');
             return;
         }
 
-        elements.projectsGrid.innerHTML = repos.map(repo => this.createCard(repo)).join('');
+        AuthManager.save(token);
+        this.setStatus(I18n.t('settings.saved', {
+            remaining: I18n.number(rate.remaining),
+            limit: I18n.number(rate.limit),
+        }), 'success');
+        loadData();
     },
 
-    createCard(repo) {
-        const liveUrl = repo.homepage || (repo.has_pages 
-            ? `https://${CONFIG.org}.github.io/${repo.name}`
-            : null);
-        const language = repo.language || 'Various';
-        const updated = new Date(repo.pushed_at).toLocaleDateString('en-US', { 
-            month: 'short', day: 'numeric' 
-        });
+    clearToken() {
+        AuthManager.clear();
+        elements.tokenInput.value = '';
+        this.setStatus(I18n.t('settings.removed', { auth: this.describeAuth() }));
+    },
 
-        return `
-            <article class="project-card slide-up">
-                <div class="project-card__header">
-                    <div class="project-card__icon">
-                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                            <rect x="3" y="3" width="18" height="18" rx="2"/>
-                            <path d="M3 9h18M9 21V9"/>
-                        </svg>
-                    </div>
-                    <div class="project-card__meta">
-                        <h3 class="project-card__name">${repo.name}</h3>
-                        <span class="project-card__lang">${language}</span>
-                    </div>
-                </div>
-                <p class="project-card__description">
-                    ${repo.description || 'A project by AI-Develops'}
-                </p>
-                <div class="project-card__stats">
-                    <span class="project-card__stat">
-                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                            <polygon points="12 2 15.09 8.26 22 9.27 17 14.14 18.18 21.02 12 17.77 5.82 21.02 7 14.14 2 9.27 8.91 8.26 12 2"/>
-                        </svg>
-                        ${repo.stargazers_count}
-                    </span>
-                    <span class="project-card__stat">
-                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                            <circle cx="12" cy="18" r="3"/>
-                            <circle cx="6" cy="6" r="3"/>
-                            <circle cx="18" cy="6" r="3"/>
-                            <path d="M18 9v2c0 .6-.4 1-1 1H7c-.6 0-1-.4-1-1V9"/>
-                        </svg>
-                        ${repo.forks_count}
-                    </span>
-                    <span class="project-card__stat">
-                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                            <circle cx="12" cy="12" r="10"/>
-                            <polyline points="12 6 12 12 16 14"/>
-                        </svg>
-                        ${updated}
-                    </span>
-                </div>
-                <div class="project-card__actions">
-                    ${liveUrl ? `
-                        <a href="${liveUrl}" target="_blank" rel="noopener" class="project-card__btn project-card__btn--primary">
-                            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                                <path d="M18 13v6a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V8a2 2 0 0 1 2-2h6"/>
-                                <polyline points="15 3 21 3 21 9"/>
-                                <line x1="10" y1="14" x2="21" y2="3"/>
-                            </svg>
-                            Live Demo
-                        </a>
-                    ` : ''}
-                    <a href="${repo.html_url}" target="_blank" rel="noopener" class="project-card__btn project-card__btn--secondary">
-                        <svg viewBox="0 0 24 24" fill="currentColor">
-                            <path d="M12 0C5.37 0 0 5.37 0 12c0 5.3 3.44 9.8 8.21 11.39.6.11.79-.26.79-.58v-2.23c-3.34.73-4.03-1.42-4.03-1.42-.55-1.39-1.33-1.76-1.33-1.76-1.09-.74.08-.73.08-.73 1.2.08 1.84 1.24 1.84 1.24 1.07 1.83 2.81 1.3 3.49 1 .11-.78.42-1.31.76-1.61-2.67-.3-5.47-1.33-5.47-5.93 0-1.31.47-2.38 1.24-3.22-.12-.3-.54-1.52.12-3.18 0 0 1-.32 3.3 1.23a11.5 11.5 0 0 1 6.01 0c2.3-1.55 3.3-1.23 3.3-1.23.65 1.66.24 2.88.12 3.18.77.84 1.24 1.91 1.24 3.22 0 4.61-2.8 5.63-5.48 5.92.43.37.82 1.1.82 2.22v3.29c0 .32.19.7.8.58C20.57 21.8 24 17.3 24 12c0-6.63-5.37-12-12-12z"/>
-                        </svg>
-                        Code
-                    </a>
-                </div>
-            </article>
-        `;
+    setStatus(message, type = 'info') {
+        elements.tokenStatus.textContent = message;
+        elements.tokenStatus.dataset.type = type;
+    },
+};
+
+// ============================================
+// Embed Mode (?embed=heatmap|stats)
+// ============================================
+/**
+ * `?embed=heatmap` renders only the contribution graph and `?embed=stats`
+ * only the org counters, for use inside an iframe. Optional parameters:
+ * `contributor` and `repo` (comma-separated filters; repos as owner/name,
+ * or a bare name for the first owner), `year` and `theme` (light or dark),
+ * plus SiteConfig's `org`/`user`. The embedded page reports its height to
+ * the parent window so EmbedDialog's snippet can size the iframe.
+ */
+const EmbedMode = {
+    // Widget -> catalog entry for its title
+    WIDGETS: {
+        heatmap: 'widget.heatmap',
+        stats: 'widget.stats',
+    },
+
+    widget: null,
+
+    init() {
+        const params = new URLSearchParams(window.location.search);
+        const widget = params.get('embed');
+        if (!Object.hasOwn(this.WIDGETS, widget)) return;
+
+        this.widget = widget;
+        document.documentElement.dataset.embed = widget;
+
+        const theme = params.get('theme');
+        if (theme === 'light' || theme === 'dark') ThemeManager.set(theme, { persist: false });
+
+        this.list(params.get('contributor')).forEach(login => state.selectedContributors.add(Identity.canonical(login)));
+        this.list(params.get('repo')).forEach(repo => state.selectedRepos.add(SiteConfig.fullName(repo)));
+
+        const year = Number(params.get('year'));
+        if (Number.isInteger(year) && year > 2000) {
+            ActivitySection.range = { ...ActivitySection.range, mode: 'year', year };
+        }
+
+        this.renderTitle();
+        this.reportSize();
+    },
+
+    get active() {
+        return this.widget !== null;
+    },
+
+    list(value) {
+        return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+    },
+
+    // Full-page URL for the embed's title link (and EmbedDialog's snippets)
+    pageUrl() {
+        return `${window.location.origin}${window.location.pathname}`;
+    },
+
+    renderTitle() {
+        const title = document.createElement('a');
+        title.className = 'embed-title';
+        title.href = this.pageUrl();
+        title.target = '_blank';
+        title.rel = 'noopener';
+        title.textContent = `${I18n.t(this.WIDGETS[this.widget], { owners: SiteConfig.label })} ↗`;
+        document.querySelector('main').prepend(title);
+    },
+
+    reportSize() {
+        if (window.parent === window || typeof ResizeObserver === 'undefined') return;
+
+        let lastHeight = 0;
+        new ResizeObserver(() => {
+            const height = Math.ceil(document.documentElement.getBoundingClientRect().height);
+            if (height === lastHeight) return;
+            lastHeight = height;
+            window.parent.postMessage({ type: 'ai-develops:embed-size', widget: this.widget, height }, '*');
+        }).observe(document.documentElement);
+    },
+};
+
+// ============================================
+// Embed Snippet Generator
+// ============================================
+const EmbedDialog = {
+    init() {
+        elements.embedToggle.addEventListener('click', () => this.open());
+        elements.embedClose.addEventListener('click', () => elements.embedDialog.close());
+        elements.embedForm.addEventListener('input', () => this.update());
+        elements.embedForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.copy();
+        });
+    },
+
+    open() {
+        // Start from what the page currently shows
+        const form = elements.embedForm.elements;
+        form.contributor.value = [...state.selectedContributors].join(', ');
+        form.repo.value = [...state.selectedRepos].map(repo => SiteConfig.repoLabel(repo)).join(', ');
+        form.year.value = ActivitySection.range.mode === 'year' ? ActivitySection.range.year : '';
+        this.update();
+        elements.embedDialog.showModal();
+    },
+
+    getUrl() {
+        const form = elements.embedForm.elements;
+        const params = new URLSearchParams({ embed: form.widget.value });
+
+        // Owners picked through the URL have to travel with the embed
+        const current = new URLSearchParams(window.location.search);
+        ['org', 'user'].forEach(key => {
+            if (current.has(key)) params.set(key, current.get(key));
+        });
+
+        if (form.widget.value === 'heatmap') {
+            const contributors = EmbedMode.list(form.contributor.value);
+            const repos = EmbedMode.list(form.repo.value);
+            if (contributors.length > 0) params.set('contributor', contributors.join(','));
+            if (repos.length > 0) params.set('repo', repos.join(','));
+            if (form.year.value) params.set('year', form.year.value);
+        }
+        if (form.theme.value !== 'auto') params.set('theme', form.theme.value);
+
+        return `${EmbedMode.pageUrl()}?${params}`;
+    },
+
+    getSnippet() {
+        const form = elements.embedForm.elements;
+        const url = this.getUrl();
+        const widget = form.widget.value;
+        const height = widget === 'heatmap' ? 260 : 140;
+
+        let snippet = `<iframe src="${Html.escape(url)}" title="${Html.escape(I18n.t(EmbedMode.WIDGETS[widget], { owners: SiteConfig.label }))}" width="100%" height="${height}" style="border:0" loading="lazy"></iframe>`;
+
+        if (form.autoResize.checked) {
+            // Matches the message EmbedMode.reportSize() posts from inside the frame
+            snippet += `
+<script>
+addEventListener('message', (e) => {
+    if (e.origin !== ${JSON.stringify(window.location.origin)} || e.data?.type !== 'ai-develops:embed-size') return;
+    document.querySelectorAll('iframe').forEach((frame) => {
+        if (frame.contentWindow === e.source) frame.style.height = e.data.height + 'px';
+    });
+});
+</script>`;
+        }
+        return snippet;
+    },
+
+    update() {
+        const heatmap = elements.embedForm.elements.widget.value === 'heatmap';
+        elements.embedFilters.hidden = !heatmap;
+        elements.embedSnippet.value = this.getSnippet();
+        elements.embedStatus.textContent = '';
+    },
+
+    async copy() {
+        try {
+            await navigator.clipboard.writeText(elements.embedSnippet.value);
+            elements.embedStatus.textContent = I18n.t('embed.copied');
+        } catch {
+            // No clipboard permission - leave it selected for Ctrl+C
+            elements.embedSnippet.select();
+            elements.embedStatus.textContent = I18n.t('embed.copyManually');
+        }
     },
 };
 
 // ============================================
-// Activity Section with Per-Contributor Filter
+// Repository Detail View (#/repo/<owner>/<name>)
 // ============================================
-const ActivitySection = {
-    async load() {
-        const contributorMap = new Map();
-        const allActivityMap = new Map();
-        let totalCommits = 0;
+const RepoDetail = {
+    // Repo currently shown, and a counter so a slow repo can't fill a newer one's slots
+    repo: null,
+    generation: 0,
+
+    LANGUAGE_COLORS: {
+        JavaScript: '#f1e05a',
+        TypeScript: '#3178c6',
+        Python: '#3572a5',
+        HTML: '#e34c26',
+        CSS: '#563d7c',
+        SCSS: '#c6538c',
+        Shell: '#89e051',
+        Go: '#00add8',
+        Rust: '#dea584',
+        Java: '#b07219',
+        C: '#555555',
+        'C++': '#f34b7d',
+        Ruby: '#701516',
+        Vue: '#41b883',
+        Svelte: '#ff3e00',
+        'Jupyter Notebook': '#da5b0b',
+        Dockerfile: '#384d54',
+    },
+
+    // README markup that is kept; other elements are unwrapped to their content
+    README_ELEMENTS: new Set([
+        'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'p', 'div', 'span', 'br', 'hr',
+        'a', 'img', 'picture', 'em', 'strong', 'b', 'i', 'u', 's', 'del', 'ins', 'mark',
+        'sub', 'sup', 'small', 'kbd', 'code', 'pre', 'blockquote', 'q', 'abbr',
+        'ul', 'ol', 'li', 'dl', 'dt', 'dd', 'details', 'summary',
+        'table', 'caption', 'thead', 'tbody', 'tfoot', 'tr', 'th', 'td',
+    ]),
+    // ...except these, which are dropped along with everything inside them
+    README_DROPPED: new Set([
+        'script', 'style', 'noscript', 'template', 'iframe', 'frame', 'frameset', 'object', 'embed',
+        'svg', 'math', 'textarea', 'select', 'title', 'noembed', 'noframes', 'xmp', 'plaintext',
+    ]),
+    // Attributes kept per element ('*' applies to all); href and src are rewritten as well
+    README_ATTRIBUTES: {
+        '*': ['title', 'lang', 'dir', 'align'],
+        a: ['href'],
+        img: ['src', 'alt', 'width', 'height'],
+        ol: ['start'],
+        th: ['colspan', 'rowspan'],
+        td: ['colspan', 'rowspan'],
+        details: ['open'],
+    },
+
+    init() {
+        elements.repoDetailClose.addEventListener('click', () => elements.repoDetail.close());
+        HeatmapGrid.attach(elements.repoDetailBody);
+
+        // Esc, the close button and Router.route() all end up here
+        elements.repoDetail.addEventListener('close', () => {
+            this.repo = null;
+            this.generation++;
+            if (Router.get('repo')) Router.leave();
+        });
+
+        DataEvents.on('stats', ({ repo, data }) => {
+            if (repo === this.repo && Array.isArray(data)) {
+                this.fill(this.generation, 'activity', this.activityHtml(data));
+            }
+        });
+
+        // ActivitySection has already stored the new per-day counts
+        DataEvents.on('daily', ({ repo }) => {
+            const stats = state.repoStats.get(repo);
+            if (repo === this.repo && Array.isArray(stats)) {
+                this.fill(this.generation, 'activity', this.activityHtml(stats));
+            }
+        });
+
+        // Re-render an open panel in the new language; its requests come from the cache
+        DataEvents.on('locale', () => {
+            if (!this.repo || !elements.repoDetail.open) return;
+            const name = this.repo;
+            this.repo = null;
+            this.open(name);
+        });
+    },
+
+    // `name` is the repo's full name; repos of owners outside SiteConfig are not shown
+    async open(name) {
+        if (name === this.repo && elements.repoDetail.open) return;
 
-        // Show loading state
-        elements.activityGraph.innerHTML = `
+        const generation = ++this.generation;
+        this.repo = name;
+        elements.repoDetailTitle.textContent = SiteConfig.repoLabel(name);
+        elements.repoDetailBody.innerHTML = html`
             <div class="activity__loader">
                 <div class="activity__loader-spinner"></div>
-                <span>Loading contributor activity...</span>
+                <span>${I18n.t('repo.loading')}</span>
             </div>
         `;
+        if (!elements.repoDetail.open) elements.repoDetail.showModal();
 
-        // Fetch contributor stats for each repo
-        for (const repo of state.repos) {
-            const contributorStats = await GitHubAPI.getContributorsWithStats(repo.name);
-            
-            if (!contributorStats || !Array.isArray(contributorStats)) continue;
+        const repo = state.repos.find(r => r.full_name === name)
+            || (SiteConfig.hasOwner(name) ? await GitHubAPI.getRepo(name) : null);
+        if (generation !== this.generation) return;
 
-            contributorStats.forEach(stat => {
-                if (!stat.author || !stat.author.login) return;
-                
-                const login = stat.author.login;
-                const avatar = stat.author.avatar_url;
-                
-                if (!contributorMap.has(login)) {
-                    contributorMap.set(login, {
-                        login,
-                        avatar_url: avatar,
-                        contributions: 0,
-                        activity: new Map(),
-                    });
-                }
-                
-                const contributor = contributorMap.get(login);
-                
-                if (stat.weeks && Array.isArray(stat.weeks)) {
-                    stat.weeks.forEach(week => {
-                        if (week.w && week.c > 0) {
-                            const date = new Date(week.w * 1000);
-                            const dateStr = date.toISOString().split('T')[0];
-                            
-                            const currentContrib = contributor.activity.get(dateStr) || 0;
-                            contributor.activity.set(dateStr, currentContrib + week.c);
-                            
-                            const currentAll = allActivityMap.get(dateStr) || 0;
-                            allActivityMap.set(dateStr, currentAll + week.c);
-                            
-                            contributor.contributions += week.c;
-                            totalCommits += week.c;
-                        }
-                    });
-                }
-            });
+        if (!repo?.name) {
+            elements.repoDetailBody.innerHTML = html`
+                <p class="repo-detail__empty">
+                    ${I18n.t(GitHubAPI.rateLimited ? 'repo.rateLimited' : 'repo.notFound')}
+                </p>
+            `;
+            return;
         }
 
-        state.contributors = Array.from(contributorMap.values())
-            .sort((a, b) => b.contributions - a.contributions);
-        
-        state.contributorActivity = contributorMap;
-        state.allActivity = allActivityMap;
-        state.stats.commits = totalCommits;
-        state.stats.contributors = state.contributors.length;
+        elements.repoDetailBody.innerHTML = this.overviewHtml(repo);
 
-        this.populateContributorSelect();
-        this.render();
-        StatsDisplay.update();
-    },
+        // Each section fills its own slot as soon as its request returns
+        const sections = [
+            ['issues', () => GitHubAPI.getOpenPulls(name), pulls => this.issuesHtml(repo, pulls)],
+            ['languages', () => GitHubAPI.getLanguages(name), languages => this.languagesHtml(languages)],
+            ['activity', () => Promise.all([this.getStats(name), this.getDaily(name)]), ([stats]) => this.activityHtml(stats)],
+            ['releases', () => Promise.all([GitHubAPI.getReleases(name), GitHubAPI.getTags(name)]),
+                ([releases, tags]) => this.releasesHtml(repo, releases, tags)],
+            ['readme', () => GitHubAPI.getReadme(name), readme => this.readmeHtml(repo, readme)],
+        ];
 
-    populateContributorSelect() {
-        const select = elements.contributorSelect;
-        select.innerHTML = '<option value="all">All Contributors</option>';
-        
-        state.contributors.forEach(c => {
-            const option = document.createElement('option');
-            option.value = c.login;
-            option.textContent = `${c.login} (${c.contributions.toLocaleString()})`;
-            select.appendChild(option);
-        });
+        await Promise.all(sections.map(async ([slot, load, toHtml]) => {
+            const data = await RequestScheduler.run(load);
+            this.fill(generation, slot, toHtml(data));
+        }));
 
-        select.addEventListener('change', (e) => {
-            state.selectedContributor = e.target.value;
-            this.render();
-        });
+        // Stats GitHub was still computing - poll for them while the panel is open
+        if (!Array.isArray(state.repoStats.get(name)) && generation === this.generation) {
+            const stats = await StatsPoller.poll(name);
+            if (stats) this.fill(generation, 'activity', this.activityHtml(stats));
+        }
     },
 
-    getActivityData() {
-        if (state.selectedContributor === 'all') {
-            return state.allActivity;
+    async getStats(name) {
+        return state.repoStats.get(name) ?? await GitHubAPI.getContributorsWithStats(name);
+    },
+
+    // Per-day counts for repos the activity section hasn't loaded (e.g. opened by link)
+    async getDaily(name) {
+        if (!state.dailyActivity.has(name)) {
+            ActivitySection.setDaily(name, await GitHubAPI.getCommitActivity(name));
         }
-        return state.contributorActivity.get(state.selectedContributor)?.activity || new Map();
+        return state.dailyActivity.get(name) || null;
     },
 
-    render() {
-        const activityData = this.getActivityData();
-        
-        let totalContributions = 0;
-        let activeDays = 0;
-        
-        activityData.forEach((count) => {
-            totalContributions += count;
-            if (count > 0) activeDays++;
-        });
+    fill(generation, slot, markup) {
+        if (generation !== this.generation) return;
+        const target = elements.repoDetailBody.querySelector(`[data-slot="${slot}"]`);
+        if (!target) return;
+        target.innerHTML = markup;
+        HeatmapGrid.sync(target);
+    },
 
-        elements.totalContributions.textContent = totalContributions.toLocaleString();
-        elements.activeDays.textContent = activeDays.toLocaleString();
+    overviewHtml(repo) {
+        const liveUrl = ProjectsSection.getLiveUrl(repo);
+        const topics = repo.topics || [];
 
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
-        
-        const weeks = [];
-        const months = [];
-        let currentMonth = -1;
-        let monthPositions = [];
+        return html`
+            <p class="repo-detail__description">${repo.description || I18n.t('projects.byOwner', { owner: SiteConfig.ownerOf(repo.full_name) })}</p>
+            <div class="repo-detail__facts">
+                <span class="repo-detail__fact">${I18n.t('repo.stars', { count: repo.stargazers_count })}</span>
+                <span class="repo-detail__fact">${I18n.t('repo.forks', { count: repo.forks_count })}</span>
+                <span class="repo-detail__fact" data-slot="issues">${I18n.t('repo.openIssuesAndPulls', { count: repo.open_issues_count })}</span>
+                <span class="repo-detail__fact">${this.licenseName(repo.license)}</span>
+            </div>
+            ${topics.length > 0 && html`
+                <div class="repo-detail__topics">
+                    ${topics.map(topic => html`<span class="repo-detail__topic">${topic}</span>`)}
+                </div>
+            `}
+            <div class="repo-detail__links">
+                ${liveUrl && html`
+                    <a href="${liveUrl}" target="_blank" rel="noopener" class="project-card__btn project-card__btn--primary">${I18n.t('projects.liveDemo')}</a>
+                `}
+                <a href="${Html.url(repo.html_url)}" target="_blank" rel="noopener" class="project-card__btn project-card__btn--secondary">${I18n.t('repo.viewOnGitHub')}</a>
+            </div>
+            <section class="repo-detail__section">
+                <h3 class="repo-detail__heading">${I18n.t('repo.languages')}</h3>
+                <div data-slot="languages">${this.loadingHtml()}</div>
+            </section>
+            <section class="repo-detail__section">
+                <h3 class="repo-detail__heading">${I18n.t('repo.activity')}</h3>
+                <div data-slot="activity">${this.loadingHtml()}</div>
+            </section>
+            <section class="repo-detail__section">
+                <h3 class="repo-detail__heading">${I18n.t('repo.releases')}</h3>
+                <div data-slot="releases">${this.loadingHtml()}</div>
+            </section>
+            <section class="repo-detail__section">
+                <h3 class="repo-detail__heading">${I18n.t('repo.readme')}</h3>
+                <div data-slot="readme">${this.loadingHtml()}</div>
+            </section>
+        `;
+    },
 
-        for (let w = 51; w >= 0; w--) {
-            const weekData = [];
-            
-            for (let d = 0; d < 7; d++) {
-                const date = new Date(today);
-                date.setDate(date.getDate() - (w * 7 + (6 - d)));
-                const dateStr = date.toISOString().split('T')[0];
-                const count = activityData.get(dateStr) || 0;
-                
-                const month = date.getMonth();
-                if (month !== currentMonth && w < 51) {
-                    currentMonth = month;
-                    monthPositions.push({
-                        week: 51 - w,
-                        name: date.toLocaleDateString('en-US', { month: 'short' })
-                    });
-                }
-                
-                weekData.push({
-                    date: dateStr,
-                    count,
-                    level: this.getLevel(count),
-                    isToday: dateStr === today.toISOString().split('T')[0],
-                });
-            }
-            
-            weeks.push(weekData);
+    loadingHtml() {
+        return html`<p class="repo-detail__empty">${I18n.t('repo.loadingSection')}</p>`;
+    },
+
+    issuesHtml(repo, pulls) {
+        // open_issues_count includes pull requests; a full page means we only saw some of them
+        const capped = pulls.length >= CONFIG.perPage;
+        if (capped || repo.open_issues_count < pulls.length) {
+            return html`${I18n.t('repo.openIssuesAndPulls', { count: repo.open_issues_count })}`;
         }
+        const issues = repo.open_issues_count - pulls.length;
+        return html`${I18n.t('repo.openIssues', { count: issues })} · ${I18n.t('repo.openPulls', { count: pulls.length })}`;
+    },
 
-        const uniqueMonths = [];
-        let lastMonthName = '';
-        weeks.forEach((_, weekIndex) => {
-            const found = monthPositions.find(m => m.week === weekIndex);
-            if (found && found.name !== lastMonthName) {
-                uniqueMonths.push(found.name);
-                lastMonthName = found.name;
-            } else {
-                uniqueMonths.push('');
-            }
-        });
+    languagesHtml(languages) {
+        const entries = Object.entries(languages).sort((a, b) => b[1] - a[1]);
+        const total = entries.reduce((sum, [, bytes]) => sum + bytes, 0);
+        if (total === 0) return html`<p class="repo-detail__empty">${I18n.t('repo.noLanguages')}</p>`;
 
-        elements.activityMonths.innerHTML = uniqueMonths
-            .filter(m => m !== '')
-            .map(m => `<span class="activity__month">${m}</span>`)
-            .join('');
+        const parts = entries.map(([name, bytes]) => ({
+            name,
+            color: this.languageColor(name),
+            percent: (bytes / total) * 100,
+        }));
 
-        // Check if we have any data
-        const hasData = activityData.size > 0;
-        
-        if (!hasData) {
-            elements.activityGraph.innerHTML = `
-                <div class="activity__loader" style="grid-column:1/-1">
-                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" style="width:32px;height:32px;color:var(--color-text-muted)">
-                        <rect x="3" y="4" width="18" height="18" rx="2" ry="2"/>
-                        <line x1="16" y1="2" x2="16" y2="6"/>
-                        <line x1="8" y1="2" x2="8" y2="6"/>
-                        <line x1="3" y1="10" x2="21" y2="10"/>
-                    </svg>
-                    <span>No activity data available</span>
-                    <span style="font-size:var(--text-xs);color:var(--color-text-muted)">
-                        ${GitHubAPI.rateLimited ? 'API rate limited - cached data may be empty or stale' : 'Activity will appear here once commits are made'}
-                    </span>
-                </div>
-            `;
-            return;
+        return html`
+            <div class="repo-detail__languages-bar">
+                ${parts.map(p => html`
+                    <span class="repo-detail__languages-segment" style="width:${p.percent}%;background:${p.color}" title="${p.name} ${I18n.percent(p.percent)}"></span>
+                `)}
+            </div>
+            <ul class="repo-detail__languages">
+                ${parts.map(p => html`
+                    <li class="repo-detail__language">
+                        <span class="repo-detail__language-dot" style="background:${p.color}"></span>
+                        ${p.name}
+                        <span class="repo-detail__language-percent">${I18n.percent(p.percent)}</span>
+                    </li>
+                `)}
+            </ul>
+        `;
+    },
+
+    licenseName(license) {
+        if (!license) return I18n.t('repo.noLicense');
+        return license.spdx_id && license.spdx_id !== 'NOASSERTION' ? license.spdx_id : license.name;
+    },
+
+    languageColor(name) {
+        if (this.LANGUAGE_COLORS[name]) return this.LANGUAGE_COLORS[name];
+        // Stable fallback hue for languages without a known color
+        const hue = [...name].reduce((hash, char) => (hash * 31 + char.charCodeAt(0)) % 360, 7);
+        return `hsl(${hue}, 55%, 55%)`;
+    },
+
+    activityHtml(stats) {
+        if (stats === null) {
+            return html`<p class="repo-detail__empty">${I18n.t('repo.computing')}</p>`;
         }
 
-        elements.activityGraph.innerHTML = weeks.map(week => `
-            <div class="activity__week">
-                ${week.map(day => `
-                    <div class="activity__day ${day.isToday ? 'activity__day--today' : ''}" 
-                         data-level="${day.level}"
-                         data-date="${day.date}"
-                         data-count="${day.count}"
-                         title="${day.date}: ${day.count} contributions">
-                    </div>
-                `).join('')}
+        // Per-day counts when GitHub has them for the whole year, else weekly columns
+        const range = ActivitySection.lastTwelveMonths();
+        const daily = state.dailyActivity.get(this.repo);
+        const resolution = daily && daily.start <= ActivitySection.dateKey(range.start) ? 'day' : 'week';
+        const activity = resolution === 'day' ? daily.days : ActivitySection.activityFromStats(stats);
+        if (activity.size === 0) return html`<p class="repo-detail__empty">${I18n.t('repo.noCommits')}</p>`;
+
+        const { weeks, months } = ActivitySection.buildWeeks(activity, range, ActivitySection.firstDay(resolution));
+        const total = weeks.flat().reduce((sum, day) => sum + day.count, 0); // outside days count 0
+
+        return html`
+            <div class="activity__graph-container repo-detail__heatmap">
+                <div class="activity__months">${ActivitySection.monthsHtml(months)}</div>
+                <div class="activity__graph">${ActivitySection.weeksHtml(weeks, I18n.t('repo.gridLabel', { repo: SiteConfig.repoLabel(this.repo) }), resolution)}</div>
             </div>
-        `).join('');
+            <p class="repo-detail__note">${I18n.t('repo.commitsLastYear', { count: total })}</p>
+        `;
     },
 
-    getLevel(count) {
-        if (count === 0) return 0;
-        if (count <= 2) return 1;
-        if (count <= 5) return 2;
-        if (count <= 10) return 3;
-        return 4;
-    },
-};
+    releasesHtml(repo, releases, tags) {
+        const released = new Set(releases.map(r => r.tag_name));
+        const looseTags = tags.filter(t => !released.has(t.name));
 
-// ============================================
-// Contributors Section
-// ============================================
-const ContributorsSection = {
-    render() {
-        if (state.contributors.length === 0) {
-            elements.contributorsGrid.innerHTML = `
-                <div class="contributors__loader">
-                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" style="width:32px;height:32px;color:var(--color-text-muted)">
-                        <path d="M17 21v-2a4 4 0 0 0-4-4H5a4 4 0 0 0-4 4v2"/>
-                        <circle cx="9" cy="7" r="4"/>
-                        <path d="M23 21v-2a4 4 0 0 0-3-3.87"/>
-                        <path d="M16 3.13a4 4 0 0 1 0 7.75"/>
-                    </svg>
-                    <span>No contributors found</span>
-                </div>
-            `;
-            return;
+        if (releases.length === 0 && looseTags.length === 0) {
+            return html`<p class="repo-detail__empty">${I18n.t('repo.noReleases')}</p>`;
         }
 
-        elements.contributorsGrid.innerHTML = state.contributors.slice(0, 12).map(c => `
-            <article class="contributor-card slide-up">
-                <div class="contributor-card__avatar">
-                    <img src="${c.avatar_url}" alt="${c.login}" loading="lazy">
-                </div>
-                <div class="contributor-card__info">
-                    <h3 class="contributor-card__name">${c.login}</h3>
-                    <span class="contributor-card__username">@${c.login}</span>
-                    <div class="contributor-card__contributions">
-                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                            <polyline points="20 6 9 17 4 12"/>
-                        </svg>
-                        ${c.contributions.toLocaleString()} contributions
-                    </div>
-                </div>
-                <a href="https://github.com/${c.login}" target="_blank" rel="noopener" class="contributor-card__link">
-                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                        <path d="M18 13v6a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V8a2 2 0 0 1 2-2h6"/>
-                        <polyline points="15 3 21 3 21 9"/>
-                        <line x1="10" y1="14" x2="21" y2="3"/>
-                    </svg>
-                </a>
-            </article>
-        `).join('');
+        return html`
+            <ul class="repo-detail__releases">
+                ${releases.map(r => html`
+                    <li class="repo-detail__release">
+                        <a href="${Html.url(r.html_url)}" target="_blank" rel="noopener">${r.name || r.tag_name}</a>
+                        ${r.prerelease && html`<span class="repo-detail__badge">${I18n.t('repo.prerelease')}</span>`}
+                        <span class="repo-detail__release-date">
+                            ${r.published_at ? I18n.date(r.published_at, { year: 'numeric', month: 'short', day: 'numeric' }) : I18n.t('repo.draft')}
+                        </span>
+                    </li>
+                `)}
+                ${looseTags.map(t => html`
+                    <li class="repo-detail__release">
+                        <a href="${Html.url(`${repo.html_url}/tree/${encodeURIComponent(t.name)}`)}" target="_blank" rel="noopener">${t.name}</a>
+                        <span class="repo-detail__badge">${I18n.t('repo.tag')}</span>
+                    </li>
+                `)}
+            </ul>
+        `;
     },
-};
 
-// ============================================
-// Stats Animation
-// ============================================
-const StatsDisplay = {
-    update() {
-        const stats = elements.heroStats.querySelectorAll('.hero__stat-value');
-        const values = [state.stats.repos, state.stats.contributors, state.stats.commits];
-        
-        stats.forEach((stat, i) => {
-            this.animateValue(stat, 0, values[i] || 0, 1000);
+    readmeHtml(repo, readme) {
+        if (typeof readme !== 'string' || !readme.trim()) {
+            return html`<p class="repo-detail__empty">${I18n.t('repo.noReadme')}</p>`;
+        }
+
+        const doc = new DOMParser().parseFromString(readme, 'text/html');
+        this.sanitize(doc.body);
+
+        // Relative links point into the repo, relative images at its raw files
+        const branch = repo.default_branch || 'main';
+        const blobBase = `${repo.html_url}/blob/${branch}/`;
+        const rawBase = `https://raw.githubusercontent.com/${repo.full_name}/${branch}/`;
+
+        doc.body.querySelectorAll('*').forEach(el => {
+            if (el.hasAttribute('href')) {
+                // In-page anchors would change the route
+                const href = el.getAttribute('href');
+                const url = href.startsWith('#') ? null : Html.url(href, blobBase);
+                if (url) {
+                    el.setAttribute('href', url);
+                    el.setAttribute('target', '_blank');
+                    el.setAttribute('rel', 'noopener');
+                } else {
+                    el.removeAttribute('href');
+                }
+            }
+            if (el.hasAttribute('src')) {
+                const url = Html.url(el.getAttribute('src'), rawBase);
+                if (url) {
+                    el.setAttribute('src', url);
+                    el.setAttribute('loading', 'lazy');
+                } else {
+                    el.removeAttribute('src');
+                }
+            }
         });
+
+        // The markup was parsed and cleaned above, so it is the one place raw() is used
+        return html`<div class="repo-detail__readme">${Html.raw(doc.body.innerHTML)}</div>`;
     },
 
-    animateValue(element, start, end, duration) {
-        const startTime = performance.now();
-        
-        const animate = (currentTime) => {
-            const elapsed = currentTime - startTime;
-            const progress = Math.min(elapsed / duration, 1);
-            const eased = 1 - Math.pow(1 - progress, 3);
-            element.textContent = Math.floor(start + (end - start) * eased).toLocaleString();
-            
-            if (progress < 1) requestAnimationFrame(animate);
-        };
-        
-        requestAnimationFrame(animate);
+    /**
+     * Reduces parsed README markup to the allow-lists above. Only plain
+     * elements and attributes survive, so the serialized result parses the
+     * same way again when it is inserted into the page.
+     */
+    sanitize(parent) {
+        [...parent.childNodes].forEach(node => {
+            if (node.nodeType === Node.TEXT_NODE) return;
+            if (node.nodeType !== Node.ELEMENT_NODE || this.README_DROPPED.has(node.localName)) {
+                node.remove();
+                return;
+            }
+
+            this.sanitize(node);
+
+            if (!this.README_ELEMENTS.has(node.localName)) {
+                node.replaceWith(...node.childNodes);
+                return;
+            }
+
+            const allowed = [...this.README_ATTRIBUTES['*'], ...(this.README_ATTRIBUTES[node.localName] ?? [])];
+            [...node.attributes].forEach(attr => {
+                if (!allowed.includes(attr.name)) node.removeAttribute(attr.name);
+            });
+        });
     },
 };
 
 // ============================================
-// Rate Limit Status Indicator
+// Hash Router
 // ============================================
-const RateLimitIndicator = {
+const Router = {
     init() {
-        this.container = document.createElement('div');
-        this.container.className = 'rate-limit-indicator';
-        this.container.style.cssText = `
-            position: fixed;
-            bottom: 20px;
-            right: 20px;
-            padding: 8px 16px;
-            background: var(--color-bg-secondary);
-            border: 1px solid var(--color-border);
-            border-radius: var(--radius-lg);
-            font-size: var(--text-xs);
-            color: var(--color-text-secondary);
-            z-index: 1000;
-            display: none;
-            box-shadow: var(--shadow-lg);
-        `;
-        document.body.appendChild(this.container);
+        window.addEventListener('hashchange', () => this.route());
+        this.route();
     },
 
-    show(message, type = 'warning') {
-        this.container.textContent = message;
-        this.container.style.display = 'block';
-        
-        if (type === 'warning') {
-            this.container.style.borderColor = 'var(--color-warning)';
-        } else if (type === 'error') {
-            this.container.style.borderColor = 'var(--color-error)';
+    // The id in a #/<view>/<id> hash (views: repo, contributor), or null
+    // when the hash is another view or cannot be decoded (e.g. #/repo/%)
+    get(view) {
+        const match = window.location.hash.match(/^#\/([a-z]+)\/(.+)$/);
+        if (!match || match[1] !== view) return null;
+
+        try {
+            return decodeURIComponent(match[2]);
+        } catch (e) {
+            console.warn(`[Router] Ignoring malformed ${view} route: ${match[2]}`);
+            return null;
         }
     },
 
-    hide() {
-        this.container.style.display = 'none';
+    route() {
+        const repo = this.get('repo');
+        if (repo) {
+            RepoDetail.open(SiteConfig.fullName(repo));
+        } else if (elements.repoDetail.open) {
+            elements.repoDetail.close();
+        }
+
+        const contributor = this.get('contributor');
+        if (contributor) {
+            ActivitySection.selectContributor(contributor);
+            elements.activityHeader.scrollIntoView({ behavior: 'smooth' });
+        }
+    },
+
+    // Point the hash at a route (or a plain section anchor) without a new
+    // history entry, a hashchange or a jump
+    replace(hash) {
+        const { pathname, search } = window.location;
+        history.replaceState(history.state, '', `${pathname}${search}${hash}`);
+    },
+
+    // Drop the route without a new history entry or a jump to the top
+    leave() {
+        this.replace('#projects');
+    },
+
+    // #/repo/<owner>/<name> - the slash stays readable, the parts are encoded
+    repoHash(fullName) {
+        return `#/repo/${fullName.split('/').map(encodeURIComponent).join('/')}`;
     },
 };
 
@@ -729,56 +4822,100 @@ const RateLimitIndicator = {
 // ============================================
 async function init() {
     ThemeManager.init();
+    // Which owners are indexed decides embed titles, routes and cache keys below
+    await Promise.all([SiteConfig.load(), Curation.load(), I18n.init()]);
+    Identity.init();
+    EmbedMode.init();
     Navigation.init();
+    HeatmapGrid.init();
+    StatsDisplay.init();
+    Exporter.init();
     ProjectsSection.init();
+    ActivitySection.init();
+    ContributorsSection.init();
+    FeedSection.init();
     RateLimitIndicator.init();
+    OfflineSupport.init();
+    SettingsDialog.init();
+    EmbedDialog.init();
+    RepoDetail.init();
+
+    // Move any localStorage-era entries over - age never evicts, only the size budget does
+    await CacheManager.migrate();
 
-    // Clear old cache entries on start
-    CacheManager.clearOld();
+    AuthManager.init();
 
+    Router.init();
+    await loadData();
+
+    // The feed is extra requests on top of the page's data, so it comes last
+    if (!EmbedMode.widget) FeedSection.load();
+}
+
+async function loadData() {
     try {
+        // Render the build-time snapshot straight away if one is deployed
+        const snapshot = await Snapshot.load();
+
+        if (snapshot) {
+            PagesHealth.apply(snapshot.pages);
+            ProjectsSection.setRepos(GitHubAPI.filterRepos(snapshot.repos));
+            ActivitySection.applySnapshot(snapshot.stats, snapshot.daily);
+            ContributorsSection.render();
+            OfflineSupport.noteData(Snapshot.timestamp);
+
+            if (Snapshot.isFresh) {
+                // Only repos GitHub was still computing at build time need the API
+                const listed = (repo) => state.repos.some(r => r.full_name === repo);
+                snapshot.pending.filter(listed).forEach(repo => ActivitySection.awaitStats(repo));
+                snapshot.pendingDaily.filter(listed).forEach(repo => ActivitySection.awaitDaily(repo));
+                return;
+            }
+            console.info('[Snapshot] Older than threshold, topping up from the live API');
+        }
+
         // Load projects first
-        await ProjectsSection.load();
+        await ProjectsSection.load({ animate: !snapshot });
         
         // Check if we got rate limited
         if (GitHubAPI.rateLimited) {
-            RateLimitIndicator.show('API rate limited - showing cached data', 'warning');
+            RateLimitIndicator.show(I18n.t('status.rateLimited'), 'warning');
         }
         
         // Then load activity data
-        await ActivitySection.load();
-        ContributorsSection.render();
+        await ActivitySection.load({ topUp: Boolean(snapshot) });
+        ContributorsSection.render({ animate: !snapshot });
+
+        // Deployment status for cards the snapshot had nothing on
+        await PagesHealth.loadAll(state.repos);
         
-        // Hide indicator if we have data
-        if (state.repos.length > 0 || state.contributors.length > 0) {
+        // Hide indicator if we have data (the offline notice stays up)
+        if (OfflineSupport.isOffline) {
+            OfflineSupport.render();
+        } else if (state.repos.length > 0 || state.contributors.length > 0) {
             setTimeout(() => RateLimitIndicator.hide(), 3000);
         }
         
     } catch (error) {
         console.error('Initialization error:', error);
-        RateLimitIndicator.show('Failed to load data - please try again later', 'error');
+        RateLimitIndicator.show(I18n.t('status.failed'), 'error');
     }
 }
 
 // Add debug helpers to window (remove in production)
-window.clearAIDevelopsCache = () => {
-    CacheManager.clear();
+window.clearAIDevelopsCache = async () => {
+    await CacheManager.clear();
+    await window.caches?.delete('ai-develops-api');
     console.log('Cache cleared');
 };
 
-window.getAIDevelopsCacheStatus = () => {
-    const status = [];
-    for (let i = 0; i < localStorage.length; i++) {
-        const key = localStorage.key(i);
-        if (key?.startsWith(CONFIG.cacheKeyPrefix)) {
-            const cached = JSON.parse(localStorage.getItem(key) || '{}');
-            status.push({
-                key: key.replace(CONFIG.cacheKeyPrefix, ''),
-                age: Math.round((Date.now() - (cached.timestamp || 0)) / 1000 / 60) + ' min ago',
-                stale: (Date.now() - (cached.timestamp || 0)) > CONFIG.cacheDuration,
-            });
-        }
-    }
+window.getAIDevelopsCacheStatus = async () => {
+    const status = (await CacheManager.entries()).map(entry => ({
+        key: entry.endpoint,
+        age: Math.round((Date.now() - entry.timestamp) / 1000 / 60) + ' min ago',
+        stale: (Date.now() - entry.timestamp) > CONFIG.cacheDuration,
+        size: Math.round(entry.size / 1024) + ' KB',
+    }));
     console.table(status);
     return status;
 };
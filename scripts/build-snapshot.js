@@ -0,0 +1,316 @@
+#!/usr/bin/env node
+/**
+ * AI-Develops Organization Index
+ * Build-time snapshot of the configured owners' repos, contributor stats and
+ * Pages deployment status.
+ *
+ * Usage:
+ *   node scripts/build-snapshot.js [--out data/snapshot.json] [--config site.config.json]
+ *
+ * Environment:
+ *   GITHUB_TOKEN     token for the 5,000 req/hour limit (set by GitHub Actions)
+ *   GITHUB_API_BASE  API origin, e.g. http://localhost:4010 for the fixture server
+ *   SNAPSHOT_ORGS    comma-separated orgs to snapshot
+ *   SNAPSHOT_USERS   comma-separated users to snapshot
+ *   SNAPSHOT_ORG     single org used when neither the variables above nor the
+ *                    config's `orgs`/`users` name anyone (default: AI-Develops)
+ */
+'use strict';
+
+const fs = require('fs/promises');
+const path = require('path');
+
+// Bump when the shape changes - script.js ignores snapshots of other versions
+const SNAPSHOT_VERSION = 3;
+
+const CONFIG = {
+    org: process.env.SNAPSHOT_ORG || 'AI-Develops',
+    apiBase: (process.env.GITHUB_API_BASE || 'https://api.github.com').replace(/\/$/, ''),
+    token: process.env.GITHUB_TOKEN || null,
+    out: 'data/snapshot.json',
+    siteConfig: 'site.config.json',
+    perPage: 100,
+    maxPages: 20,
+    concurrency: 4,
+    pagesDeployments: 3, // how far back to look for the last successful Pages deploy
+    statsPolling: {
+        maxAttempts: 8,
+        baseDelay: 2000, // doubles on every attempt
+        maxDelay: 32000,
+    },
+};
+
+// Only the repo fields the page reads - keeps the snapshot small
+const REPO_FIELDS = [
+    'name', 'full_name', 'description', 'homepage', 'html_url', 'language',
+    'topics', 'license', 'fork', 'is_template', 'archived', 'private', 'has_pages',
+    'stargazers_count', 'forks_count', 'open_issues_count', 'default_branch',
+    'created_at', 'updated_at', 'pushed_at',
+];
+
+function parseArgs(argv) {
+    const args = { out: CONFIG.out, config: CONFIG.siteConfig };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--out') args.out = argv[++i];
+        if (argv[i] === '--config') args.config = argv[++i];
+    }
+    return args;
+}
+
+function toOwners(orgs, users) {
+    const list = (value) => (Array.isArray(value) ? value : String(value || '').split(','))
+        .map(login => String(login).trim())
+        .filter(login => /^[A-Za-z0-9-]+$/.test(login));
+
+    // First mention wins, as logins are case-insensitive
+    const owners = new Map();
+    [
+        ...list(orgs).map(login => ({ login, type: 'org' })),
+        ...list(users).map(login => ({ login, type: 'user' })),
+    ].forEach(owner => {
+        if (!owners.has(owner.login.toLowerCase())) owners.set(owner.login.toLowerCase(), owner);
+    });
+    return [...owners.values()];
+}
+
+/**
+ * Same precedence as SiteConfig in script.js (minus URL parameters), so the
+ * page recognises the snapshot as its own.
+ */
+async function readOwners(configPath) {
+    const fromEnv = toOwners(process.env.SNAPSHOT_ORGS, process.env.SNAPSHOT_USERS);
+    if (fromEnv.length > 0) return fromEnv;
+
+    try {
+        const config = JSON.parse(await fs.readFile(configPath, 'utf8'));
+        const fromConfig = toOwners(config.orgs, config.users);
+        if (fromConfig.length > 0) return fromConfig;
+    } catch (e) {
+        if (e.code !== 'ENOENT') throw new Error(`Could not read ${configPath}: ${e.message}`);
+    }
+    return [{ login: CONFIG.org, type: 'org' }];
+}
+
+function reposEndpoint({ login, type }) {
+    return type === 'user'
+        ? `/users/${login}/repos?type=owner&per_page=${CONFIG.perPage}&sort=updated`
+        : `/orgs/${login}/repos?per_page=${CONFIG.perPage}&sort=updated`;
+}
+
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// ============================================
+// GitHub API
+// ============================================
+async function request(url) {
+    const headers = { 'Accept': 'application/vnd.github.v3+json' };
+    if (CONFIG.token) headers['Authorization'] = `Bearer ${CONFIG.token}`;
+
+    const response = await fetch(url, { headers });
+
+    if (response.status === 403 && response.headers.get('X-RateLimit-Remaining') === '0') {
+        throw new Error(`Rate limited (403) fetching ${url}`);
+    }
+    if (response.status !== 202 && !response.ok) {
+        const error = new Error(`HTTP ${response.status} fetching ${url}`);
+        error.status = response.status;
+        throw error;
+    }
+    return response;
+}
+
+// Null when the endpoint answers with an error status, e.g. 404 for a repo without Pages
+async function fetchOptional(endpoint) {
+    try {
+        return await (await request(`${CONFIG.apiBase}${endpoint}`)).json();
+    } catch (error) {
+        if (error.status) return null;
+        throw error;
+    }
+}
+
+function getNextLink(linkHeader) {
+    const match = linkHeader?.match(/<([^>]+)>;\s*rel="next"/);
+    return match ? match[1] : null;
+}
+
+async function fetchAll(endpoint) {
+    const results = [];
+    let next = `${CONFIG.apiBase}${endpoint}`;
+
+    for (let page = 0; next && page < CONFIG.maxPages; page++) {
+        const response = await request(next);
+        results.push(...await response.json());
+        next = getNextLink(response.headers.get('Link'));
+    }
+    return results;
+}
+
+/**
+ * Stats endpoints (`contributors`, `commit_activity`) answer 202 until GitHub
+ * has computed them - poll with exponential backoff. `repo` is the full name
+ * (owner/name). Resolves to null if they never become ready.
+ */
+async function fetchStats(repo, kind = 'contributors') {
+    const url = `${CONFIG.apiBase}/repos/${repo}/stats/${kind}`;
+    const { maxAttempts, baseDelay, maxDelay } = CONFIG.statsPolling;
+
+    for (let attempt = 0; attempt < maxAttempts; attempt++) {
+        const response = await request(url);
+        // Empty repos have no stats at all
+        if (response.status === 204) return [];
+        if (response.status !== 202) {
+            const stats = await response.json();
+            return Array.isArray(stats) ? stats : [];
+        }
+        await wait(Math.min(baseDelay * 2 ** attempt, maxDelay));
+    }
+
+    console.warn(`[snapshot] ${kind} stats for ${repo} still computing after ${maxAttempts} attempts`);
+    return null;
+}
+
+/**
+ * The record PagesHealth in script.js reads: the Pages build status and the
+ * newest `github-pages` deployments' current states, back to the last
+ * successful one. Null when neither endpoint knows anything.
+ */
+async function fetchPagesRecord(repo) {
+    const site = await fetchOptional(`/repos/${repo}/pages`);
+    const deployments = await fetchOptional(
+        `/repos/${repo}/deployments?environment=github-pages&per_page=${CONFIG.pagesDeployments}`
+    ) || [];
+    const record = { status: site?.status ?? null, deployments: [] };
+
+    for (const deployment of deployments) {
+        const [latest] = await fetchOptional(`/repos/${repo}/deployments/${deployment.id}/statuses?per_page=1`) || [];
+        const state = latest?.state ?? 'pending';
+        record.deployments.push({
+            state,
+            at: state === 'success' ? latest.created_at : deployment.created_at,
+        });
+        if (state === 'success' || state === 'inactive') break;
+    }
+
+    return record.status || record.deployments.length > 0 ? record : null;
+}
+
+async function mapLimit(items, limit, worker) {
+    const results = new Array(items.length);
+    let index = 0;
+
+    const run = async () => {
+        while (index < items.length) {
+            const i = index++;
+            results[i] = await worker(items[i], i);
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, run));
+    return results;
+}
+
+// ============================================
+// Snapshot Shaping
+// ============================================
+function pickRepo(repo) {
+    const picked = {};
+    REPO_FIELDS.forEach(field => {
+        if (field in repo) picked[field] = repo[field];
+    });
+    if (repo.license) {
+        picked.license = { key: repo.license.key, name: repo.license.name, spdx_id: repo.license.spdx_id };
+    }
+    return picked;
+}
+
+function pickStats(stats) {
+    return stats
+        .filter(stat => stat.author?.login)
+        .map(stat => ({
+            author: {
+                login: stat.author.login,
+                avatar_url: stat.author.avatar_url,
+                type: stat.author.type,
+            },
+            total: stat.total,
+            // Empty weeks carry no information - the page only reads weeks with commits
+            weeks: stat.weeks.filter(week => week.c > 0 || week.a > 0 || week.d > 0),
+        }));
+}
+
+// Keeps every week (the first one marks where per-day data starts) minus the redundant total
+function pickCommitActivity(weeks) {
+    return weeks.map(({ week, days }) => ({ week, days }));
+}
+
+// ============================================
+// Main
+// ============================================
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const owners = await readOwners(args.config);
+    const ownerNames = owners.map(owner => owner.login).join(', ');
+    console.log(`[snapshot] ${ownerNames} via ${CONFIG.apiBase}${CONFIG.token ? ' (authenticated)' : ''}`);
+
+    const repos = [];
+    for (const owner of owners) {
+        const ownerRepos = (await fetchAll(reposEndpoint(owner))).filter(r => !r.archived && !r.private);
+        console.log(`[snapshot] ${owner.login}: ${ownerRepos.length} repos`);
+        repos.push(...ownerRepos);
+    }
+
+    // Keyed by full name - repos of different owners may share a name
+    const stats = {};
+    const daily = {};
+    const pending = [];
+    const pendingDaily = [];
+    const pages = {};
+    await mapLimit(repos, CONFIG.concurrency, async (repo) => {
+        const repoStats = await fetchStats(repo.full_name);
+        if (repoStats === null) {
+            pending.push(repo.full_name);
+        } else {
+            stats[repo.full_name] = pickStats(repoStats);
+        }
+
+        const commitActivity = await fetchStats(repo.full_name, 'commit_activity');
+        if (commitActivity === null) {
+            pendingDaily.push(repo.full_name);
+        } else if (commitActivity.length > 0) {
+            daily[repo.full_name] = pickCommitActivity(commitActivity);
+        }
+
+        if (repo.has_pages) {
+            const record = await fetchPagesRecord(repo.full_name);
+            if (record) pages[repo.full_name] = record;
+        }
+    });
+
+    const snapshot = {
+        version: SNAPSHOT_VERSION,
+        generatedAt: new Date().toISOString(),
+        owners,
+        repos: repos.map(pickRepo),
+        stats,
+        // Per-day commits for the last 52 weeks (all contributors), from stats/commit_activity
+        daily,
+        // Repos whose stats GitHub was still computing - the page fetches these live
+        pending,
+        pendingDaily,
+        // Pages build and deployment status, for repos with Pages
+        pages,
+    };
+
+    const out = path.resolve(args.out);
+    await fs.mkdir(path.dirname(out), { recursive: true });
+    await fs.writeFile(out, JSON.stringify(snapshot));
+    console.log(`[snapshot] Wrote ${path.relative(process.cwd(), out)} (${repos.length} repos, ${pending.length + pendingDaily.length} pending)`);
+}
+
+main().catch(error => {
+    console.error(`[snapshot] ${error.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+/**
+ * AI-Develops Organization Index
+ * Minimal stand-in for the GitHub REST API, serving JSON from scripts/fixtures.
+ *
+ * Usage:
+ *   node scripts/fixture-server.js [--port 4010] [--pending-stats]
+ *   GITHUB_API_BASE=http://localhost:4010 node scripts/build-snapshot.js
+ *
+ * `/orgs/AI-Develops/repos` is answered from fixtures/orgs/AI-Develops/repos.json.
+ * Array fixtures are paginated with `per_page`/`page` and a Link header like
+ * GitHub's. With --pending-stats, every stats endpoint answers 202 once first.
+ */
+'use strict';
+
+const http = require('http');
+const fs = require('fs/promises');
+const path = require('path');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+function parseArgs(argv) {
+    const args = { port: 4010, pendingStats: false };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--port') args.port = Number(argv[++i]);
+        if (argv[i] === '--pending-stats') args.pendingStats = true;
+    }
+    return args;
+}
+
+async function readFixture(pathname) {
+    const file = path.join(FIXTURES_DIR, `${path.normalize(pathname).replace(/^(\.\.[/\\])+/, '')}.json`);
+    if (!file.startsWith(FIXTURES_DIR)) return null;
+
+    try {
+        return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (e) {
+        return null;
+    }
+}
+
+function paginate(url, data) {
+    const perPage = Number(url.searchParams.get('per_page')) || 30;
+    const page = Number(url.searchParams.get('page')) || 1;
+    const lastPage = Math.max(1, Math.ceil(data.length / perPage));
+    const headers = {};
+
+    if (page < lastPage) {
+        const next = new URL(url);
+        next.searchParams.set('page', page + 1);
+        const last = new URL(url);
+        last.searchParams.set('page', lastPage);
+        headers['Link'] = `<${next}>; rel="next", <${last}>; rel="last"`;
+    }
+
+    return { body: data.slice((page - 1) * perPage, page * perPage), headers };
+}
+
+function start({ port, pendingStats }) {
+    const computed = new Set();
+
+    const server = http.createServer(async (req, res) => {
+        const url = new URL(req.url, `http://localhost:${port}`);
+        const send = (status, body, headers = {}) => {
+            res.writeHead(status, {
+                'Content-Type': 'application/json',
+                'Access-Control-Allow-Origin': '*',
+                'Access-Control-Expose-Headers': 'Link, ETag, X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset',
+                'X-RateLimit-Limit': '5000',
+                'X-RateLimit-Remaining': '5000',
+                ...headers,
+            });
+            res.end(body === null ? '' : JSON.stringify(body));
+        };
+
+        if (pendingStats && url.pathname.includes('/stats/') && !computed.has(url.pathname)) {
+            computed.add(url.pathname);
+            send(202, {});
+            console.log(`[fixtures] ${req.method} ${url.pathname} -> 202 (computing)`);
+            return;
+        }
+
+        const data = await readFixture(url.pathname);
+        if (data === null) {
+            send(404, { message: 'Not Found' });
+            return;
+        }
+
+        if (Array.isArray(data) && !url.pathname.includes('/stats/')) {
+            const { body, headers } = paginate(url, data);
+            send(200, body, headers);
+        } else {
+            send(200, data);
+        }
+        console.log(`[fixtures] ${req.method} ${url.pathname}${url.search}`);
+    });
+
+    server.listen(port, () => {
+        console.log(`[fixtures] Serving ${FIXTURES_DIR} on http://localhost:${port}`);
+    });
+    return server;
+}
+
+start(parseArgs(process.argv.slice(2)));
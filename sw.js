@@ -0,0 +1,83 @@
+/**
+ * AI-Develops Organization Index
+ * Service Worker - precached app shell and site data. GitHub API responses
+ * are left to the page, which keeps them in its IndexedDB cache and falls
+ * back to that copy when the network is gone.
+ */
+
+const SHELL_VERSION = 'v2';
+const SHELL_CACHE = `ai-develops-shell-${SHELL_VERSION}`;
+const FONT_CACHE = 'ai-develops-fonts';
+const DATA_CACHE = 'ai-develops-data';
+
+const FONT_ORIGINS = ['https://fonts.googleapis.com', 'https://fonts.gstatic.com'];
+// The page plus a message catalog for every language in I18n.LOCALES but English
+const SHELL_FILES = ['./', 'index.html', 'style.css', 'script.js', 'locales/de.json', 'locales/es.json'];
+// Optional build output, owners/aliases and curation rules - cached at runtime since they
+// may not be deployed. Offline, a missing site.config.json would mean the default org
+const DATA_FILES = ['data/snapshot.json', 'site.config.json', 'curation.json'];
+// Caches from earlier versions of this worker that are no longer used
+const RETIRED_CACHES = ['ai-develops-api'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => RETIRED_CACHES.includes(key)
+                    || (key.startsWith('ai-develops-shell-') && key !== SHELL_CACHE))
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (FONT_ORIGINS.includes(url.origin)) {
+        event.respondWith(staleWhileRevalidate(event, FONT_CACHE));
+    } else if (url.origin === self.location.origin && isShellRequest(request, url)) {
+        event.respondWith(staleWhileRevalidate(event, SHELL_CACHE));
+    } else if (url.origin === self.location.origin && isDataRequest(url)) {
+        event.respondWith(staleWhileRevalidate(event, DATA_CACHE));
+    }
+    // Anything else (e.g. the GitHub API) goes straight to the network
+});
+
+function isShellRequest(request, url) {
+    if (request.mode === 'navigate') return true;
+    return SHELL_FILES.some(file => new URL(file, self.location).pathname === url.pathname);
+}
+
+function isDataRequest(url) {
+    return DATA_FILES.some(file => new URL(file, self.location).pathname === url.pathname);
+}
+
+async function staleWhileRevalidate(event, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cacheKey = event.request.mode === 'navigate' ? './' : event.request;
+    const cached = await cache.match(cacheKey);
+
+    const network = fetch(event.request).then(response => {
+        if (response.ok) {
+            cache.put(cacheKey, response.clone());
+        }
+        return response;
+    });
+
+    if (cached) {
+        event.waitUntil(network.catch(() => {}));
+        return cached;
+    }
+    return network;
+}
@@ -0,0 +1,26 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('./page');
+
+describe('ActivitySection.awaitStats', () => {
+    test('keeps repos whose stats never arrive marked, with a retry', async () => {
+        const page = loadPage();
+        const status = page.document.getElementById('activityStatus');
+        page.run('ActivitySection.init(); StatsPoller.poll = async () => null');
+
+        await page.run('ActivitySection.awaitStats("AI-Develops/slow")');
+
+        assert.equal(status.hidden, false);
+        assert.ok(page.run('state.unavailableRepos.has("AI-Develops/slow")'));
+        assert.match(status.textContent, /no stats for slow/);
+
+        const stats = [{ author: { login: 'octocat' }, total: 2, weeks: [{ w: 1700006400, a: 1, d: 0, c: 2 }] }];
+        page.run('StatsPoller.poll = async () => stats', { stats });
+        status.querySelector('[data-retry-stats]').click();
+        await new Promise(resolve => setTimeout(resolve, 0));
+
+        assert.equal(page.run('state.unavailableRepos.size'), 0);
+        assert.equal(page.run('state.repoStats.get("AI-Develops/slow")'), stats);
+        assert.equal(status.hidden, true);
+    });
+});
@@ -0,0 +1,37 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('./page');
+
+// A GitHub that rejects every token and answers anonymous requests with the path
+function rejectTokens(page) {
+    const requests = [];
+    page.window.fetch = async (url, { headers = {} } = {}) => {
+        const { pathname } = new URL(url);
+        requests.push({ pathname, authorized: 'Authorization' in headers });
+        // Let every request go out before the first answer comes back
+        await new Promise(resolve => setTimeout(resolve, 10));
+
+        const status = 'Authorization' in headers ? 401 : 200;
+        return new Response(JSON.stringify({ pathname }), {
+            status,
+            headers: { 'Content-Type': 'application/json' },
+        });
+    };
+    return requests;
+}
+
+describe('GitHubAPI.request', () => {
+    test('retries every in-flight request anonymously when the token is rejected', async () => {
+        const page = loadPage();
+        const requests = rejectTokens(page);
+        page.run('RateLimitIndicator.init(); CacheManager.get = async () => null; CacheManager.set = async () => {}');
+        page.run('AuthManager.token = "revoked"; AuthManager.source = "config"');
+
+        const results = await page.run('Promise.all(["/a", "/b", "/c"].map(endpoint => GitHubAPI.fetch(endpoint)))');
+
+        assert.deepEqual(Array.from(results, result => result?.pathname), ['/a', '/b', '/c']);
+        assert.equal(page.run('AuthManager.isAuthenticated'), false);
+        assert.equal(requests.filter(r => r.authorized).length, 3);
+        assert.equal(requests.filter(r => !r.authorized).length, 3);
+    });
+});
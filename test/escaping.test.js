@@ -0,0 +1,260 @@
+/**
+ * Feeds hostile API payloads through every place script.js renders API data
+ * and checks that what reaches the DOM is inert: no injected elements or
+ * event handler attributes, and no link or image pointing anywhere but
+ * http(s).
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('./page');
+
+const PAYLOADS = {
+    script: '<script>window.pwned = true</script>',
+    attribute: '" onerror="window.pwned = true" data-injected="',
+    breakout: '"><img src=x onerror=window.pwned=1 data-injected>',
+    javascriptUrl: 'javascript:window.pwned=1',
+    mixedCaseUrl: ' JaVaScRiPt:window.pwned=1',
+    dataUrl: 'data:text/html,<script>window.pwned=1</script>',
+};
+
+function assertInert(container) {
+    const { document } = container.ownerDocument.defaultView;
+    const injected = container.querySelectorAll('script, iframe, object, embed, noscript, [data-injected]');
+    assert.equal(injected.length, 0, `injected elements: ${[...injected].map(el => el.outerHTML).join(', ')}`);
+
+    container.querySelectorAll('*').forEach(el => {
+        [...el.attributes].forEach(({ name, value }) => {
+            assert.ok(!name.startsWith('on'), `event handler attribute on <${el.localName}>: ${name}="${value}"`);
+            if (name === 'href' || name === 'src') {
+                const { protocol } = new URL(value, document.baseURI);
+                assert.ok(protocol === 'http:' || protocol === 'https:', `<${el.localName} ${name}="${value}">`);
+            }
+        });
+    });
+}
+
+describe('html tag', () => {
+    const page = loadPage();
+
+    test('escapes interpolated text and attribute values', () => {
+        for (const payload of Object.values(PAYLOADS)) {
+            const container = page.parse(page.run('html`<p title="${payload}">${payload}</p>`', { payload }));
+            assertInert(container);
+
+            const p = container.querySelector('p');
+            assert.equal(p.getAttribute('title'), payload);
+            assert.equal(p.textContent, payload);
+        }
+    });
+
+    test('escapes array items and objects shaped like rendered markup', () => {
+        const values = [PAYLOADS.script, JSON.parse('{"markup": "<script>window.pwned = true</script>"}')];
+        const markup = String(page.run('html`<ul>${values.map(value => html`<li>${value}</li>`)}</ul>`', { values }));
+
+        assert.ok(!markup.includes('<script>'));
+        assertInert(page.parse(markup));
+    });
+
+    test('renders nothing for null, undefined and false', () => {
+        assert.equal(String(page.run('html`<p>${null}${undefined}${false}</p>`')), '<p></p>');
+    });
+});
+
+describe('Html.url', () => {
+    const page = loadPage();
+
+    test('rejects script-capable and malformed URLs', () => {
+        const urls = [
+            PAYLOADS.javascriptUrl,
+            PAYLOADS.mixedCaseUrl,
+            PAYLOADS.dataUrl,
+            'vbscript:msgbox(1)',
+            'java\tscript:alert(1)',
+            'http://[not a host',
+            '',
+            null,
+            { href: 'https://example.com' },
+        ];
+        for (const url of urls) {
+            assert.equal(page.run('Html.url(url)', { url }), null, String(url));
+        }
+    });
+
+    test('allows http(s) and resolves relative URLs against the base', () => {
+        assert.equal(page.run('Html.url("https://example.com/a?b=1")'), 'https://example.com/a?b=1');
+        assert.equal(page.run('Html.url("http://example.com")'), 'http://example.com/');
+        assert.equal(
+            page.run('Html.url("docs/a.md", "https://github.com/o/r/blob/main/")'),
+            'https://github.com/o/r/blob/main/docs/a.md'
+        );
+    });
+});
+
+describe('ProjectsSection.createCard', () => {
+    const page = loadPage();
+    const repo = {
+        name: PAYLOADS.breakout,
+        full_name: `AI-Develops/${PAYLOADS.breakout}`,
+        description: PAYLOADS.script,
+        homepage: PAYLOADS.javascriptUrl,
+        html_url: PAYLOADS.dataUrl,
+        screenshot: PAYLOADS.mixedCaseUrl,
+        language: PAYLOADS.attribute,
+        stargazers_count: 1,
+        forks_count: 0,
+        pushed_at: PAYLOADS.attribute,
+        has_pages: false,
+    };
+
+    test('escapes repo fields and drops unsafe URLs', () => {
+        const container = page.parse(page.run('ProjectsSection.createCard(repo)', { repo }));
+        assertInert(container);
+
+        assert.equal(container.querySelector('.project-card__name-link').textContent, PAYLOADS.breakout);
+        assert.equal(container.querySelector('.project-card__description').textContent.trim(), PAYLOADS.script);
+        assert.equal(container.querySelector('.project-card__lang').textContent, PAYLOADS.attribute);
+        assert.equal(container.querySelector('.project-card__screenshot'), null);
+        assert.equal(container.querySelector('.project-card__btn--primary'), null, 'javascript: homepage became a demo link');
+    });
+
+    test('encodes the repo name into a guessed Pages URL', () => {
+        const container = page.parse(page.run('ProjectsSection.createCard(repo)', { repo: { ...repo, homepage: null, has_pages: true } }));
+        assertInert(container);
+
+        const demo = container.querySelector('.project-card__btn--primary');
+        assert.ok(demo.href.startsWith('https://ai-develops.github.io/'));
+        assert.ok(!demo.href.includes('"'));
+    });
+});
+
+describe('ContributorsSection.render', () => {
+    const page = loadPage();
+
+    test('escapes logins and drops unsafe avatar URLs', () => {
+        page.run('state.contributors = contributors; ContributorsSection.render()', {
+            contributors: [
+                { login: PAYLOADS.breakout, avatar_url: PAYLOADS.javascriptUrl, contributions: 3 },
+                { login: PAYLOADS.script, avatar_url: PAYLOADS.dataUrl, contributions: 1 },
+            ],
+        });
+
+        const grid = page.document.getElementById('contributorsGrid');
+        assertInert(grid);
+
+        const names = [...grid.querySelectorAll('.contributor-card__name a')].map(a => a.textContent);
+        assert.deepEqual(names, [PAYLOADS.breakout, PAYLOADS.script]);
+        assert.equal(grid.querySelector('img').getAttribute('alt'), PAYLOADS.breakout);
+    });
+});
+
+describe('FeedSection', () => {
+    const page = loadPage();
+    const actor = { login: PAYLOADS.breakout, avatar_url: PAYLOADS.dataUrl };
+    const now = new Date().toISOString();
+    const events = [
+        {
+            id: '1', type: 'ReleaseEvent', actor, created_at: now, repo: { name: 'AI-Develops/site' },
+            payload: { action: 'published', release: { name: PAYLOADS.script, html_url: PAYLOADS.javascriptUrl } },
+        },
+        {
+            id: '2', type: 'PullRequestEvent', actor, created_at: now, repo: { name: `AI-Develops/${PAYLOADS.attribute}` },
+            payload: { action: 'closed', number: 7, pull_request: { merged: true, title: PAYLOADS.breakout, html_url: PAYLOADS.mixedCaseUrl } },
+        },
+        {
+            id: '3', type: 'PushEvent', actor, created_at: now, repo: { name: 'AI-Develops/site' },
+            payload: { size: 2, ref: `refs/heads/${PAYLOADS.script}` },
+        },
+        {
+            id: '4', type: 'IssuesEvent', actor, created_at: now, repo: { name: 'AI-Develops/site' },
+            payload: { action: 'opened', issue: { number: 9, title: PAYLOADS.attribute, html_url: PAYLOADS.dataUrl } },
+        },
+    ];
+
+    test('escapes event text and falls back to GitHub URLs for unsafe links', () => {
+        page.run('FeedSection.events.set("AI-Develops", events); FeedSection.loaded = true; FeedSection.render()', { events });
+
+        const list = page.document.getElementById('feedList');
+        assertInert(list);
+
+        const text = list.textContent;
+        assert.ok(text.includes(PAYLOADS.script));
+        assert.ok(text.includes(PAYLOADS.breakout));
+        assert.equal(list.querySelectorAll('.feed__item').length, events.length);
+        assert.equal(list.querySelector('.feed__item--release .feed__text a[target]:not(.feed__actor)').href,
+            'https://github.com/AI-Develops/site/releases');
+    });
+});
+
+describe('RepoDetail.issuesHtml', () => {
+    const page = loadPage();
+    const pulls = [
+        { number: 1, title: PAYLOADS.breakout, html_url: PAYLOADS.javascriptUrl, labels: [{ name: PAYLOADS.script }] },
+        { number: 2, title: PAYLOADS.attribute, html_url: PAYLOADS.dataUrl, labels: [] },
+    ];
+
+    // A full page of PRs falls back to the repo's own open issue count
+    const fullPage = Array.from({ length: 100 }, (_, i) => ({ ...pulls[i % 2], number: i + 1 }));
+
+    for (const [name, repo, openPulls] of [
+        ['counts issues and PRs apart', { full_name: 'AI-Develops/site', open_issues_count: 5 }, pulls],
+        ['escapes a hostile open issue count', { full_name: 'AI-Develops/site', open_issues_count: PAYLOADS.breakout }, fullPage],
+    ]) {
+        test(name, () => {
+            page.run(`
+                RepoDetail.generation++;
+                elements.repoDetailBody.innerHTML = html\`<span data-slot="issues"></span>\`;
+                RepoDetail.fill(RepoDetail.generation, 'issues', RepoDetail.issuesHtml(repo, openPulls));
+            `, { repo, openPulls });
+
+            const slot = page.document.querySelector('#repoDetailBody [data-slot="issues"]');
+            assertInert(slot);
+            assert.ok(slot.textContent.trim().length > 0);
+            assert.equal(slot.children.length, 0);
+        });
+    }
+});
+
+describe('RepoDetail.readmeHtml', () => {
+    const page = loadPage();
+    const repo = { full_name: 'AI-Develops/site', html_url: 'https://github.com/AI-Develops/site', default_branch: 'main' };
+    const readme = [
+        '<h1 onclick="window.pwned=1">Title</h1>',
+        PAYLOADS.script,
+        '<noscript><p title="</noscript><img src=x onerror=window.pwned=1 data-injected>"></p></noscript>',
+        '<svg><style><img src=x onerror=window.pwned=1 data-injected></style></svg>',
+        `<p><a href="${PAYLOADS.javascriptUrl}">js</a> <a href="docs/guide.md">guide</a>`,
+        `<img src="${PAYLOADS.dataUrl}" alt="data"> <img src="img/logo.png" srcset="javascript:x 2x" alt="logo"></p>`,
+        '<form action="javascript:x"><button formaction="javascript:x">go</button></form>',
+        '<iframe src="https://example.com"></iframe><object data="x.swf"></object>',
+        '<table><tr><td style="background:url(javascript:x)" colspan="2">cell</td></tr></table>',
+        // Left unclosed, so it swallows anything after it
+        '<math><mtext><table><mglyph><style><img src=x onerror=window.pwned=1 data-injected>',
+    ].join('\n');
+
+    test('keeps allow-listed markup only', () => {
+        const markup = String(page.run('RepoDetail.readmeHtml(repo, readme)', { repo, readme }));
+        const container = page.parse(markup);
+        assertInert(container);
+
+        assert.equal(container.querySelectorAll('svg, math, style, form, button, iframe, [style], [srcset]').length, 0);
+        assert.equal(container.querySelector('h1').textContent, 'Title');
+        assert.equal(container.querySelector('td').getAttribute('colspan'), '2');
+    });
+
+    test('rewrites relative links and images into the repo', () => {
+        const container = page.parse(page.run('RepoDetail.readmeHtml(repo, readme)', { repo, readme }));
+
+        const links = [...container.querySelectorAll('a')];
+        assert.equal(links.find(a => a.textContent === 'js').hasAttribute('href'), false);
+        assert.equal(links.find(a => a.textContent === 'guide').href, 'https://github.com/AI-Develops/site/blob/main/docs/guide.md');
+
+        assert.equal(container.querySelector('img[alt="data"]').hasAttribute('src'), false);
+        assert.equal(container.querySelector('img[alt="logo"]').src, 'https://raw.githubusercontent.com/AI-Develops/site/main/img/logo.png');
+    });
+
+    test('serializes to markup that parses back the same way', () => {
+        const markup = String(page.run('RepoDetail.readmeHtml(repo, readme)', { repo, readme }));
+        assert.equal(page.parse(markup).innerHTML, markup);
+    });
+});
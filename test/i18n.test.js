@@ -0,0 +1,44 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { loadPage } = require('./page');
+
+// Serves the message catalogs from locales/ like the deployed site does
+function serveLocales(page) {
+    page.window.fetch = async (url) => {
+        const file = path.join(__dirname, '..', new URL(url, page.window.location.href).pathname);
+        return new Response(fs.readFileSync(file), { headers: { 'Content-Type': 'application/json' } });
+    };
+}
+
+describe('I18n with the project language facet', () => {
+    test('?hl= picks the UI language and leaves ?lang= to the facet', () => {
+        const page = loadPage({ url: 'https://ai-develops.github.io/?hl=de&lang=JavaScript' });
+        page.run('ProjectsSection.readUrl()');
+
+        assert.equal(page.run('I18n.detect().language'), 'de');
+        assert.deepEqual([...page.run('ProjectsSection.languages')], ['JavaScript']);
+    });
+
+    test('?lang= alone does not change the UI language', () => {
+        // jsdom's browser language is en-US
+        const page = loadPage({ url: 'https://ai-develops.github.io/?lang=de' });
+
+        assert.equal(page.run('I18n.detect().language'), 'en');
+    });
+
+    test('switching language drops ?hl= and keeps the facet in the URL', async () => {
+        const page = loadPage({ url: 'https://ai-develops.github.io/?hl=de&lang=JavaScript&sort=stars' });
+        serveLocales(page);
+
+        await page.run('I18n.set("es")');
+
+        const params = new URLSearchParams(page.window.location.search);
+        assert.equal(params.get('hl'), null);
+        assert.equal(params.get('lang'), 'JavaScript');
+        assert.equal(params.get('sort'), 'stars');
+        assert.equal(page.run('I18n.language'), 'es');
+        assert.equal(page.run('I18n.t("projects.code")'), JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'locales/es.json')))['projects.code']);
+    });
+});
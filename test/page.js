@@ -0,0 +1,51 @@
+/**
+ * Loads index.html and script.js into a jsdom window without starting the
+ * app, so tests can call the page's modules directly:
+ *
+ *     const page = loadPage();
+ *     page.run('Html.url("javascript:alert(1)")'); // null
+ *
+ * `url` sets the page address, e.g. to test query parameters.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { JSDOM } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..');
+
+function loadPage({ url = 'https://ai-develops.github.io/' } = {}) {
+    const dom = new JSDOM(fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8'), {
+        url,
+        runScripts: 'outside-only',
+        pretendToBeVisual: true, // requestAnimationFrame for the rendering code
+    });
+    const { window } = dom;
+
+    // init() would start fetching; the modules are all the tests need
+    window.addEventListener('DOMContentLoaded', (e) => e.stopImmediatePropagation(), true);
+
+    // Run as a classic script so its top-level consts are globals, like in the browser
+    const context = dom.getInternalVMContext();
+    new vm.Script(fs.readFileSync(path.join(ROOT, 'script.js'), 'utf8'), { filename: 'script.js' })
+        .runInContext(context);
+
+    return {
+        window,
+        document: window.document,
+        // Evaluates `code` in the page, with `values` available as globals
+        run(code, values = {}) {
+            Object.assign(window, values);
+            return vm.runInContext(code, context);
+        },
+        // Parses rendered markup the way an innerHTML sink does
+        parse(markup) {
+            const container = window.document.createElement('div');
+            container.innerHTML = String(markup);
+            return container;
+        },
+    };
+}
+
+module.exports = { loadPage };